@@ -24,7 +24,30 @@ const WebSocket = require('ws');
 // Import routes and middleware
 const routes = require("./routes/index");
 const fileIndex = require("./routes/fileIndex");
+const paste = require("./routes/paste");
+const shorten = require("./routes/shorten");
+const tus = require("./routes/tus");
+const api = require("./routes/api");
+const admin = require("./routes/admin");
+const metricsRoute = require("./routes/metrics");
+const healthRoute = require("./routes/health");
 const middleware = require("./libs/middleware");
+const configLoader = require("./libs/configLoader");
+const apiKeys = require("./libs/apiKeys");
+const fileStore = require("./libs/fileStore");
+const pasteStore = require("./libs/pasteStore");
+const linkStore = require("./libs/linkStore");
+const tusStore = require("./libs/tusStore");
+const uploadProgress = require("./libs/uploadProgress");
+const userSettings = require("./libs/userSettings");
+const sessions = require("./libs/sessions");
+const uploadWatcher = require("./libs/uploadWatcher");
+const auditLog = require("./libs/auditLog");
+const metrics = require("./libs/metrics");
+const health = require("./libs/health");
+
+// Journal-backed stores, loaded on startup and flushed on shutdown
+const metadataStores = [fileStore, pasteStore, linkStore, tusStore, userSettings, apiKeys];
 
 // Initialize Express app
 const app = express();
@@ -83,32 +106,57 @@ function ensureUploadDirectory() {
  * Validate configuration
  */
 function validateConfig() {
-    const requiredFields = ['port', 'name', 'keys', 'uploadDirectory'];
-    const missingFields = requiredFields.filter(field => !config[field]);
+    const errors = configLoader.validateConfig(config);
     
-    if (missingFields.length > 0) {
-        logger.error(`Missing required configuration fields: ${missingFields.join(', ')}`);
+    if (errors.length > 0) {
+        errors.forEach(error => logger.error(error));
         process.exit(1);
     }
     
-    // Validate keys
-    if (typeof config.keys !== 'object' || Object.keys(config.keys).length === 0) {
-        logger.error('No API keys configured');
-        process.exit(1);
-    }
-    
-    // Validate file size limits
-    if (config.fileSizeLimit && config.fileSizeLimit <= 0) {
-        logger.error('Invalid file size limit');
+    logger.info('Configuration validated successfully');
+}
+
+/**
+ * Hash plaintext API keys left in config.json by older versions
+ * Until the file is rewritten the keys are hashed in memory, so they work throughout
+ */
+function migrateApiKeys() {
+    configLoader.migratePlaintextKeys()
+        .then((count) => {
+            if (count > 0) {
+                logger.info(`Hashed ${count} plaintext API key(s) in config.json`);
+                return configLoader.reloadConfig();
+            }
+        })
+        .catch((error) => {
+            logger.error(`Failed to hash plaintext API keys: ${error.message}`);
+        });
+}
+
+/**
+ * Load the metadata stores and import files the upload store doesn't know about yet
+ */
+function initializeMetadataStore() {
+    try {
+        metadataStores.forEach(store => store.load());
+    } catch (error) {
+        logger.error(`Failed to load metadata store: ${error.message}`);
         process.exit(1);
     }
     
-    logger.info('Configuration validated successfully');
+    // The index is built in the background; the watcher then keeps it current
+    fileStore.importExistingFiles()
+        .catch((error) => {
+            logger.error(`Failed to import existing files: ${error.message}`);
+        })
+        .then(() => uploadWatcher.start());
 }
 
 // Validate configuration on startup
 validateConfig();
+migrateApiKeys();
 ensureUploadDirectory();
+initializeMetadataStore();
 
 /**
  * Handlebars configuration with security enhancements
@@ -170,9 +218,21 @@ app.use(express.static(path.join(__dirname, 'public'), {
 // Apply rate limiting to upload routes
 app.use('/upload', middleware.rateLimit(50, 15 * 60 * 1000)); // 50 requests per 15 minutes
 app.use('/delete', middleware.rateLimit(100, 15 * 60 * 1000)); // 100 requests per 15 minutes
+app.use('/paste', middleware.rateLimit(50, 15 * 60 * 1000)); // 50 requests per 15 minutes
+app.use('/shorten', middleware.rateLimit(50, 15 * 60 * 1000)); // 50 requests per 15 minutes
+app.use('/api', middleware.rateLimit(300, 15 * 60 * 1000)); // 300 requests per 15 minutes
+app.use('/files/login', middleware.rateLimit(20, 15 * 60 * 1000)); // 20 sign-in attempts per 15 minutes
+app.use('/admin/login', middleware.rateLimit(20, 15 * 60 * 1000)); // 20 sign-in attempts per 15 minutes
 
 // Mount routes
 app.use("/", routes);
+app.use("/", paste);
+app.use("/", shorten);
+app.use("/tus", tus);
+app.use("/api/v1", api);
+app.use("/admin", admin);
+app.use("/", metricsRoute);
+app.use("/", healthRoute);
 
 if (config.useFileIndex) {
     app.use("/files", fileIndex);
@@ -229,14 +289,39 @@ const wss = new WebSocket.Server({
     maxPayload: 1024 // Limit WebSocket message size
 });
 
-// Store active uploads with progress information
-const activeUploads = new Map();
+// Gauges are read when /metrics is scraped
+metrics.registerGauge('sharex_websocket_connections', 'Open WebSocket connections', () => wss.clients.size);
+metrics.registerGauge('sharex_stored_bytes', 'Bytes of uploads on disk, deduplicated files counted once', () => fileStore.getStorageTotals().bytes);
+
+// Messages for the reasons uploadProgress.subscribe refuses a subscription
+const SUBSCRIBE_ERRORS = Object.freeze({
+    INVALID_UPLOAD_ID: 'Invalid upload ID',
+    NOT_UPLOAD_OWNER: 'Not allowed to track this upload',
+    TOO_MANY_SUBSCRIPTIONS: `Too many pending subscriptions (at most ${uploadProgress.MAX_PENDING_SUBSCRIPTIONS})`
+});
+
+/**
+ * Reads an API key from a WebSocket upgrade request (?key= or the X-API-Key / Bearer headers)
+ * @param {Object} req - HTTP upgrade request
+ * @returns {string|null} - API key if present
+ */
+function extractSocketKey(req) {
+    const url = new URL(req.url, 'http://localhost');
+    return middleware.extractApiKey({ query: { key: url.searchParams.get('key') }, headers: req.headers });
+}
 
 // WebSocket connection handler with enhanced security
 wss.on('connection', (ws, req) => {
     const clientIp = req.socket.remoteAddress;
     logger.info(`WebSocket connection from ${clientIp}`);
     
+    // Sockets authenticate on connect or with the key field of their first track message
+    const connectKey = extractSocketKey(req);
+    const connectUsername = middleware.validateApiKey(connectKey);
+    if (connectUsername) {
+        uploadProgress.authenticateSocket(ws, connectUsername, connectKey);
+    }
+    
     // Set connection timeout
     const connectionTimeout = setTimeout(() => {
         ws.terminate();
@@ -257,11 +342,24 @@ wss.on('connection', (ws, req) => {
             
             // Client requesting to track a specific upload
             if (data.type === 'track' && data.uploadId && typeof data.uploadId === 'string') {
-                ws.uploadId = data.uploadId;
+                if (data.key) {
+                    const username = middleware.validateApiKey(data.key);
+                    if (!username) {
+                        ws.close(1008, 'Invalid API key');
+                        return;
+                    }
+                    uploadProgress.authenticateSocket(ws, username, data.key);
+                }
                 
-                // Send initial progress if available
-                if (activeUploads.has(data.uploadId)) {
-                    ws.send(JSON.stringify(activeUploads.get(data.uploadId)));
+                if (!ws.keyHash) {
+                    ws.close(1008, 'API key required');
+                    return;
+                }
+                
+                // Progress is only shared with the key that started the upload
+                const refusal = uploadProgress.subscribe(ws, data.uploadId);
+                if (refusal) {
+                    ws.send(JSON.stringify({ type: 'error', uploadId: data.uploadId, message: SUBSCRIBE_ERRORS[refusal] }));
                 }
             }
         } catch (error) {
@@ -272,6 +370,7 @@ wss.on('connection', (ws, req) => {
     
     ws.on('close', () => {
         clearTimeout(connectionTimeout);
+        uploadProgress.unsubscribe(ws);
         logger.debug(`WebSocket connection closed from ${clientIp}`);
     });
     
@@ -283,15 +382,46 @@ wss.on('connection', (ws, req) => {
 
 // Cleanup old upload progress data periodically
 setInterval(() => {
-    const now = Date.now();
-    for (const [uploadId, data] of activeUploads.entries()) {
-        // Remove uploads older than 1 hour
-        if (now - data.timestamp > 60 * 60 * 1000) {
-            activeUploads.delete(uploadId);
-        }
-    }
+    // Remove uploads idle for more than 1 hour
+    uploadProgress.removeStale(60 * 60 * 1000);
+    
+    // Drop expired file index sessions
+    sessions.removeExpired();
 }, 10 * 60 * 1000); // Run every 10 minutes
 
+// Delete expired uploads periodically
+setInterval(() => {
+    fileStore.reapExpired()
+        .then((count) => {
+            if (count > 0) {
+                logger.info(`Expiry reaper removed ${count} expired upload(s)`);
+            }
+        })
+        .catch((error) => {
+            logger.error(`Expiry reaper failed: ${error.message}`);
+        });
+    
+    pasteStore.reapExpired()
+        .then((count) => {
+            if (count > 0) {
+                logger.info(`Expiry reaper removed ${count} expired paste(s)`);
+            }
+        })
+        .catch((error) => {
+            logger.error(`Paste expiry reaper failed: ${error.message}`);
+        });
+    
+    tusStore.reapStale(tus.STALE_UPLOAD_AGE)
+        .then((count) => {
+            if (count > 0) {
+                logger.info(`Removed ${count} stale resumable upload(s)`);
+            }
+        })
+        .catch((error) => {
+            logger.error(`Resumable upload reaper failed: ${error.message}`);
+        });
+}, 60 * 1000); // Run every minute
+
 // Server configuration
 server.timeout = 3600000; // 1 hour timeout for large uploads
 server.keepAliveTimeout = 65000; // Keep alive timeout
@@ -301,6 +431,12 @@ server.headersTimeout = 66000; // Headers timeout
 const gracefulShutdown = (signal) => {
     logger.info(`${signal} signal received: closing HTTP server`);
     
+    // Readiness probes fail from here on, so the orchestrator stops sending traffic
+    health.setDraining();
+    
+    uploadWatcher.stop();
+    configLoader.stopWatching();
+    
     server.close((err) => {
         if (err) {
             logger.error(`Error during server shutdown: ${err.message}`);
@@ -315,7 +451,9 @@ const gracefulShutdown = (signal) => {
         });
         
         logger.info('WebSocket server closed');
-        process.exit(0);
+        
+        // Let pending metadata and audit writes reach disk before exiting
+        Promise.all([...metadataStores.map(store => store.flush()), auditLog.flush()]).then(() => process.exit(0));
     });
     
     // Force close after 30 seconds
@@ -329,6 +467,13 @@ const gracefulShutdown = (signal) => {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
+// Reload config.json (keys, limits, extensions) without dropping uploads in progress
+process.on('SIGHUP', () => {
+    logger.info('SIGHUP signal received: reloading configuration');
+    configLoader.reloadConfig();
+});
+configLoader.watchConfig();
+
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
     logger.error(`Uncaught Exception: ${error.message}`);
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * API key management
+ * Edits config.json atomically; a running server picks the changes up without a restart
+ * Keys are stored hashed, so new keys are printed once and cannot be shown again
+ *
+ * Usage: node keys.js <command> [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const keyManager = require('./libs/keyManager.js');
+const apiKeys = require('./libs/apiKeys.js');
+const sharexConfig = require('./libs/sharexConfig.js');
+const utils = require('./libs/utils.js');
+
+// Constants for better maintainability
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const CUSTOM_KEY_PATTERN = /^[\x21-\x7e]{16,256}$/; // Printable ASCII without spaces
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: node keys.js <command> [options]
+
+Commands:
+  add <name> [--key <key>] [--scopes <scopes>]
+                                  Create a key for a new user and print it
+  list [--json]                   List users with key prefix, scopes, creation and last-use times
+  revoke <name>                   Remove a user's key
+  rotate <name>                   Replace a user's key with a new one and print it
+  scopes <name> <scopes>          Change what a user's key may do
+  show-config <name> (--key <key> | --rotate) [--type file|text|url] [--expires <duration>] [--output <file>]
+                                  Print (or save) the user's ShareX .sxcu config with their
+                                  current --key, or --rotate to issue a new key, replacing the old one
+
+Scopes are comma separated: ${apiKeys.SCOPES.join(', ')}
+Keys without scopes may ${apiKeys.DEFAULT_SCOPES.join(', ')}; admin includes every scope
+`;
+
+/**
+ * Creates an error that is reported together with the usage text
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.code = 'USAGE';
+    return error;
+}
+
+/**
+ * Splits command line arguments into positionals and --options
+ * @param {Array<string>} args - Arguments after the command
+ * @param {Array<string>} flags - Options that take no value
+ * @returns {{positionals: Array<string>, options: Object}}
+ */
+function parseArgs(args, flags = []) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.substring(2).split(/=(.*)/s);
+        if (flags.includes(name)) {
+            options[name] = true;
+        } else if (inlineValue !== undefined) {
+            options[name] = inlineValue;
+        } else if (i + 1 < args.length) {
+            options[name] = args[++i];
+        } else {
+            throw usageError(`Option --${name} needs a value`);
+        }
+    }
+
+    return { positionals, options };
+}
+
+/**
+ * Gets the single user name argument of a command
+ * @param {Array<string>} positionals - Positional arguments
+ * @returns {string} - User name
+ */
+function requireUsername(positionals) {
+    if (positionals.length !== 1) {
+        throw usageError('Expected exactly one user name');
+    }
+    if (!USERNAME_PATTERN.test(positionals[0])) {
+        throw usageError('User names may only contain letters, digits, ".", "_" and "-" (at most 64)');
+    }
+    return positionals[0];
+}
+
+/**
+ * Parses a scope list argument
+ * @param {string} value - Comma separated scopes
+ * @param {string} name - Argument name for error messages
+ * @returns {Array<string>} - Scope names
+ */
+function requireScopes(value, name) {
+    const scopes = apiKeys.parseScopes(value);
+    const unknown = apiKeys.findUnknownScopes(scopes);
+    if (scopes.length === 0 || unknown.length > 0) {
+        throw usageError(`${name} must be a comma separated list of: ${apiKeys.SCOPES.join(', ')}`);
+    }
+    return scopes;
+}
+
+/**
+ * keys add <name> [--key <key>] [--scopes <scopes>]
+ */
+async function addKey(args) {
+    const { positionals, options } = parseArgs(args);
+    const username = requireUsername(positionals);
+    if (options.key !== undefined && !CUSTOM_KEY_PATTERN.test(options.key)) {
+        throw usageError('--key must be 16 to 256 printable characters without spaces');
+    }
+    const scopes = options.scopes !== undefined ? requireScopes(options.scopes, '--scopes') : undefined;
+
+    console.log(await keyManager.addKey(username, options.key, scopes));
+}
+
+/**
+ * keys list [--json]
+ */
+async function listKeys(args) {
+    const { options } = parseArgs(args, ['json']);
+    const rows = await keyManager.listKeys();
+
+    if (options.json) {
+        console.log(JSON.stringify(rows, null, 2));
+        return;
+    }
+
+    const table = [['USER', 'PREFIX', 'SCOPES', 'CREATED', 'LAST USED'], ...rows.map(row => [
+        row.username,
+        row.prefix ? `${row.prefix}...` : '(invalid)',
+        row.scopes.join(','),
+        row.createdAt || 'unknown',
+        row.lastUsedAt || 'never'
+    ])];
+    const widths = table[0].map((_, column) => Math.max(...table.map(row => row[column].length)));
+
+    table.forEach(row => {
+        console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+    });
+}
+
+/**
+ * keys revoke <name>
+ */
+async function revokeKey(args) {
+    const username = requireUsername(parseArgs(args).positionals);
+    await keyManager.revokeKey(username);
+    console.log(`Revoked the key of "${username}"`);
+}
+
+/**
+ * keys rotate <name>
+ */
+async function rotateKey(args) {
+    const username = requireUsername(parseArgs(args).positionals);
+    console.log(await keyManager.rotateKey(username));
+}
+
+/**
+ * keys scopes <name> <scopes>
+ */
+async function setScopes(args) {
+    const { positionals } = parseArgs(args);
+    if (positionals.length !== 2) {
+        throw usageError('Expected a user name and a list of scopes');
+    }
+    const username = requireUsername(positionals.slice(0, 1));
+    const scopes = requireScopes(positionals[1], 'Scopes');
+
+    await keyManager.setScopes(username, scopes);
+    console.log(`Scopes of "${username}": ${scopes.join(', ')}`);
+}
+
+/**
+ * keys show-config <name> (--key <key> | --rotate) [--type file|text|url] [--expires <duration>] [--output <file>]
+ */
+async function showConfig(args) {
+    const { positionals, options } = parseArgs(args, ['rotate']);
+    const username = requireUsername(positionals);
+    const type = options.type || 'file';
+
+    if (!sharexConfig.isSupportedType(type)) {
+        throw usageError(`--type must be one of ${sharexConfig.DESTINATION_TYPES.join(', ')}`);
+    }
+    if (options.expires && utils.parseDuration(options.expires) === undefined) {
+        throw usageError('--expires must be a duration such as 30m, 1h, 7d or "never"');
+    }
+
+    // Stored keys can't be read back, so the config needs the user's key or, when asked for, a new one
+    if ((options.key === undefined) === !options.rotate) {
+        throw usageError('Pass either --key with the user\'s current key or --rotate to issue a new one');
+    }
+
+    let key = options.key;
+    if (key !== undefined) {
+        if (!(await keyManager.verifyUserKey(username, key))) {
+            throw new Error(`That is not the current key of "${username}"`);
+        }
+    } else {
+        key = await keyManager.rotateKey(username);
+        console.error(`Issued a new key for "${username}"; the previous key no longer works`);
+    }
+
+    const { filename, sxcu } = sharexConfig.buildSharexConfig({
+        key,
+        type,
+        expires: options.expires || null
+    });
+    const content = JSON.stringify(sxcu, null, 2) + '\n';
+
+    if (!options.output) {
+        process.stdout.write(content);
+        return;
+    }
+
+    // A directory as --output gets the server's suggested filename
+    const stats = await utils.getFileStats(options.output);
+    const outputPath = stats && stats.isDirectory() ? path.join(options.output, filename) : options.output;
+    await fs.promises.writeFile(outputPath, content, { encoding: 'utf8', mode: 0o600 });
+    console.log(`Wrote ${outputPath}`);
+}
+
+const COMMANDS = Object.freeze({
+    'add': addKey,
+    'list': listKeys,
+    'revoke': revokeKey,
+    'rotate': rotateKey,
+    'scopes': setScopes,
+    'show-config': showConfig
+});
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (!command || command === 'help' || command === '--help' || command === '-h') {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+        throw usageError(`Unknown command "${command}"`);
+    }
+
+    await COMMANDS[command](args);
+}
+
+main().catch((error) => {
+    if (error.code === 'USAGE') {
+        console.error(`Error: ${error.message}\n`);
+        process.stderr.write(USAGE);
+        process.exit(EXIT_USAGE);
+    }
+
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_ERROR);
+});
@@ -0,0 +1,212 @@
+/**
+ * API key generation, hashing, verification and last-use tracking
+ * Entries in config.keys are { prefix, salt, hash, createdAt, scopes }; the prefix narrows lookups and is safe to show.
+ * Plaintext entries from older configs (a key string or { key, createdAt }) are hashed on startup
+ */
+
+const crypto = require('crypto');
+const { createJournal, getDataPath } = require('./journal.js');
+const utils = require('./utils.js');
+
+// Constants for better maintainability
+const KEY_LENGTH = 40;
+const PREFIX_LENGTH = 6; // Enough to tell keys apart without revealing them
+const SALT_BYTES = 16;
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+const USAGE_WRITE_INTERVAL = 5 * 60 * 1000; // Last use is persisted at most every 5 minutes per user
+const SCOPES = Object.freeze(['upload', 'delete-own', 'delete-any', 'list', 'admin', 'shorten', 'paste']);
+const DEFAULT_SCOPES = Object.freeze(['upload', 'delete-own', 'list', 'shorten', 'paste']); // Keys created before scopes existed
+
+// Written by the server only; the CLI reads it
+const usageJournal = createJournal(getDataPath('key-usage.jsonl'));
+const lastWritten = new Map();
+
+/**
+ * Generates a new API key
+ * @returns {string} - Random alphanumeric key
+ */
+function generateKey() {
+    return utils.generateSecureRandomString(KEY_LENGTH);
+}
+
+/**
+ * Hashes a key with a salt
+ * Generated keys are long and random, so a fast salted hash is as strong as a slow KDF here
+ * @param {string} key - API key
+ * @param {string} salt - Hex salt
+ * @returns {string} - Hex SHA-256
+ */
+function hashKey(key, salt) {
+    return crypto.createHash('sha256').update(salt).update(key).digest('hex');
+}
+
+/**
+ * Creates a config.keys entry for a key; only the prefix and a salted hash are kept
+ * @param {string} key - API key
+ * @param {string} createdAt - ISO creation time (defaults to now)
+ * @param {Array<string>} scopes - What the key may do; omitted, the key gets the default scopes
+ * @returns {{prefix: string, salt: string, hash: string, createdAt: string, scopes?: Array<string>}} - Key entry
+ */
+function createKeyEntry(key, createdAt = new Date().toISOString(), scopes = undefined) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const entry = {
+        prefix: getKeyPrefix(key),
+        salt,
+        hash: hashKey(key, salt),
+        createdAt
+    };
+
+    if (scopes) {
+        entry.scopes = [...scopes];
+    }
+    return entry;
+}
+
+/**
+ * Checks whether an entry holds a hashed key
+ * @param {*} entry - config.keys entry
+ * @returns {boolean} - True for { prefix, salt, hash } entries
+ */
+function isHashedEntry(entry) {
+    return typeof entry === 'object' && entry !== null &&
+        typeof entry.prefix === 'string' && entry.prefix.length > 0 &&
+        typeof entry.salt === 'string' && HASH_PATTERN.test(entry.hash);
+}
+
+/**
+ * Gets the key of an entry written before keys were hashed
+ * @param {*} entry - config.keys entry: a key string or { key, createdAt }
+ * @returns {string|null} - Plaintext key, or null if the entry is hashed or malformed
+ */
+function getPlaintextKey(entry) {
+    const key = typeof entry === 'string' ? entry : entry?.key;
+    return typeof key === 'string' && key.length > 0 ? key : null;
+}
+
+/**
+ * Brings any valid entry into hashed form
+ * @param {*} entry - config.keys entry
+ * @returns {Object|null} - Hashed entry, or null if the entry is malformed
+ */
+function toHashedEntry(entry) {
+    if (isHashedEntry(entry)) {
+        return entry;
+    }
+
+    const key = getPlaintextKey(entry);
+    return key ? createKeyEntry(key, getKeyCreatedAt(entry), entry?.scopes) : null;
+}
+
+/**
+ * Checks a key against a hashed entry in constant time
+ * @param {string} key - Presented API key
+ * @param {Object} entry - Hashed key entry
+ * @returns {boolean} - True if the key matches
+ */
+function verifyKey(key, entry) {
+    const expected = Buffer.from(entry.hash, 'hex');
+    const actual = Buffer.from(hashKey(key, entry.salt), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Gets when a key was created
+ * @param {string|Object} entry - Key entry
+ * @returns {string|null} - ISO time, or null for keys added before creation times were kept
+ */
+function getKeyCreatedAt(entry) {
+    return typeof entry === 'object' && entry !== null ? entry.createdAt || null : null;
+}
+
+/**
+ * Finds scope names that don't exist
+ * @param {*} scopes - Scopes of a key entry
+ * @returns {Array<string>|null} - Unknown scopes, or null if scopes is not an array of strings
+ */
+function findUnknownScopes(scopes) {
+    if (!Array.isArray(scopes) || !scopes.every(scope => typeof scope === 'string')) {
+        return null;
+    }
+    return scopes.filter(scope => !SCOPES.includes(scope));
+}
+
+/**
+ * Gets what a key may do
+ * @param {string|Object} entry - Key entry
+ * @returns {Array<string>} - Scopes of the entry, or the default scopes for entries without any
+ */
+function getKeyScopes(entry) {
+    return Array.isArray(entry?.scopes) ? entry.scopes : DEFAULT_SCOPES;
+}
+
+/**
+ * Parses a comma separated scope list
+ * @param {string} value - Such as "upload,list"
+ * @returns {Array<string>} - Scope names, without duplicates
+ */
+function parseScopes(value) {
+    const scopes = String(value).split(',').map(scope => scope.trim()).filter(Boolean);
+    return [...new Set(scopes)];
+}
+
+/**
+ * Gets the public prefix of a key, safe to show in listings and logs
+ * @param {string} key - API key
+ * @returns {string} - Key prefix
+ */
+function getKeyPrefix(key) {
+    return key.substring(0, PREFIX_LENGTH);
+}
+
+/**
+ * Notes that a user's key was just used
+ * @param {string} username - Authenticated user
+ * @param {string} key - Key that was used
+ */
+function recordKeyUse(username, key) {
+    const now = Date.now();
+    const prefix = getKeyPrefix(key);
+    const last = lastWritten.get(username);
+
+    // A rotated key is recorded straight away
+    if (last && last.prefix === prefix && now - last.time < USAGE_WRITE_INTERVAL) {
+        return;
+    }
+
+    lastWritten.set(username, { prefix, time: now });
+    usageJournal.put(username, {
+        prefix,
+        lastUsedAt: new Date(now).toISOString()
+    });
+}
+
+/**
+ * Gets when a key was last used
+ * @param {string} username - User
+ * @param {string} prefix - Prefix of the user's current key; uses of earlier keys don't count
+ * @returns {string|null} - ISO time, or null if the key has not been used
+ */
+function getLastUsed(username, prefix) {
+    const usage = usageJournal.get(username);
+    return usage && usage.prefix === prefix ? usage.lastUsedAt : null;
+}
+
+module.exports = {
+    SCOPES,
+    DEFAULT_SCOPES,
+    load: usageJournal.load,
+    flush: usageJournal.flush,
+    generateKey,
+    createKeyEntry,
+    isHashedEntry,
+    getPlaintextKey,
+    toHashedEntry,
+    verifyKey,
+    getKeyCreatedAt,
+    findUnknownScopes,
+    getKeyScopes,
+    parseScopes,
+    getKeyPrefix,
+    recordKeyUse,
+    getLastUsed
+};
@@ -0,0 +1,258 @@
+/**
+ * Append-only audit log of uploads, deletions, config downloads, failed authentication and rate limiting
+ * One JSON object per line in data/audit.jsonl; the file is rotated daily and when it grows past
+ * auditLog.maxBytes, and only the newest auditLog.maxFiles rotated files are kept
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('silly-logger');
+const config = require('../config.json');
+const { getDataPath } = require('./journal.js');
+const apiKeys = require('./apiKeys.js');
+
+// Constants for better maintainability
+const ACTIONS = Object.freeze(['upload', 'delete', 'config_download', 'auth_failure', 'rate_limit']);
+const OUTCOMES = Object.freeze(['success', 'failure']);
+const LOG_NAME = 'audit.jsonl';
+const ROTATED_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024; // 10MB
+const DEFAULT_MAX_FILES = 30;
+
+let writeQueue = Promise.resolve();
+let current = null; // { size, date } of the live file, read from disk on the first write
+
+/**
+ * Gets the audit log settings
+ * @returns {{enabled: boolean, maxBytes: number, maxFiles: number}}
+ */
+function getSettings() {
+    const settings = config.auditLog || {};
+    return {
+        enabled: settings.enabled !== false,
+        maxBytes: settings.maxBytes || DEFAULT_MAX_BYTES,
+        maxFiles: settings.maxFiles || DEFAULT_MAX_FILES
+    };
+}
+
+/**
+ * Gets the UTC day of a time, which names the file its events are rotated into
+ * @param {Date|string} time - Date or ISO timestamp
+ * @returns {string} - YYYY-MM-DD
+ */
+function getDay(time) {
+    return new Date(time).toISOString().substring(0, 10);
+}
+
+/**
+ * Lists rotated log files, newest first
+ * @returns {Promise<Array<{name: string, date: string, index: number}>>}
+ */
+async function listRotatedFiles() {
+    let names;
+    try {
+        names = await fs.promises.readdir(getDataPath());
+    } catch (error) {
+        return [];
+    }
+
+    return names
+        .map(name => ({ name, match: ROTATED_PATTERN.exec(name) }))
+        .filter(file => file.match)
+        .map(file => ({ name: file.name, date: file.match[1], index: Number(file.match[2] || 0) }))
+        .sort((a, b) => a.date === b.date ? b.index - a.index : (a.date < b.date ? 1 : -1));
+}
+
+/**
+ * Moves the live file aside under the day of its events and drops the oldest rotated files
+ */
+async function rotate() {
+    const rotated = await listRotatedFiles();
+    const sameDay = rotated.filter(file => file.date === current.date);
+    const index = sameDay.length > 0 ? sameDay[0].index + 1 : 0;
+    const name = index > 0 ? `audit-${current.date}.${index}.jsonl` : `audit-${current.date}.jsonl`;
+
+    await fs.promises.rename(getDataPath(LOG_NAME), getDataPath(name));
+    current.size = 0;
+
+    const { maxFiles } = getSettings();
+    for (const file of [{ name }, ...rotated].slice(maxFiles)) {
+        await fs.promises.unlink(getDataPath(file.name)).catch(() => {});
+    }
+}
+
+/**
+ * Appends an event to the live file, rotating it first when the day changed or it is full
+ * @param {Object} event - Audit event
+ */
+async function append(event) {
+    const filePath = getDataPath(LOG_NAME);
+    const line = JSON.stringify(event) + '\n';
+    const day = getDay(event.timestamp);
+
+    if (!current) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const stats = await fs.promises.stat(filePath).catch(() => null);
+        current = { size: stats ? stats.size : 0, date: stats ? getDay(stats.mtime) : day };
+    }
+
+    if (current.size > 0 && (current.date !== day || current.size + Buffer.byteLength(line) > getSettings().maxBytes)) {
+        await rotate();
+    }
+
+    await fs.promises.appendFile(filePath, line, 'utf8');
+    current.size += Buffer.byteLength(line);
+    current.date = day;
+}
+
+/**
+ * Gets the path an event happened on
+ * Matched routes give their pattern, so secrets in the URL such as deletion tokens stay out of the log
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Route pattern or request path
+ */
+function getRoutePath(req) {
+    if (req?.route) {
+        return req.baseUrl + req.route.path;
+    }
+    return req?.originalUrl ? req.originalUrl.split('?')[0] : null;
+}
+
+/**
+ * Records an event
+ * The user and key prefix come from the authenticated request; the IP honours the trust proxy setting
+ * @param {Object} req - Express request object
+ * @param {string} action - One of ACTIONS
+ * @param {Object} details - Event fields
+ * @param {string} details.outcome - 'success' (default) or 'failure'
+ * @param {string} details.reason - Error code of a failure
+ * @param {string} details.key - Key presented with a failed request, when there is no authenticated user
+ * @param {string} details.filename - File concerned
+ * @param {number} details.size - Size of the file in bytes
+ * @param {string} details.target - User an admin acted on
+ */
+function record(req, action, details = {}) {
+    if (!getSettings().enabled) {
+        return;
+    }
+
+    const { outcome = 'success', key, ...fields } = details;
+    const presentedKey = req?.locals?.fullKey || (typeof key === 'string' ? key : null);
+    const event = {
+        timestamp: new Date().toISOString(),
+        action,
+        outcome,
+        username: req?.locals?.username || null,
+        key_prefix: presentedKey ? apiKeys.getKeyPrefix(presentedKey) : null,
+        ip: req?.ip || null,
+        method: req?.method || null,
+        path: getRoutePath(req)
+    };
+
+    for (const [name, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null) {
+            event[name] = value;
+        }
+    }
+
+    writeQueue = writeQueue.then(() => append(event)).catch((error) => {
+        logger.error(`Audit log write failed: ${error.message}`);
+    });
+}
+
+/**
+ * Records a failed authentication
+ * @param {Object} req - Express request object
+ * @param {string} reason - EMPTY_KEY, INVALID_KEY or INSUFFICIENT_SCOPE
+ * @param {Object} details - Further event fields, such as the key that was presented
+ */
+function recordAuthFailure(req, reason, details = {}) {
+    record(req, 'auth_failure', { ...details, outcome: 'failure', reason });
+}
+
+/**
+ * Checks an event against query filters
+ * @param {Object} event - Audit event
+ * @param {Object} filters - Filters from query
+ * @returns {boolean} - True if the event matches
+ */
+function matches(event, filters) {
+    if (filters.user && event.username !== filters.user) return false;
+    if (filters.action && event.action !== filters.action) return false;
+    if (filters.outcome && event.outcome !== filters.outcome) return false;
+
+    const time = Date.parse(event.timestamp);
+    if (filters.from !== null && time < filters.from) return false;
+    if (filters.to !== null && time > filters.to) return false;
+    return true;
+}
+
+/**
+ * Finds events, newest first
+ * Rotated files outside the time range are not read
+ * @param {Object} filters - Query filters
+ * @param {string} filters.user - Only events of this user
+ * @param {string} filters.action - Only this action
+ * @param {string} filters.outcome - Only this outcome
+ * @param {number|null} filters.from - Earliest time in milliseconds
+ * @param {number|null} filters.to - Latest time in milliseconds
+ * @param {number} limit - Maximum number of events
+ * @returns {Promise<Array<Object>>} - Matching events
+ */
+async function query(filters, limit) {
+    // Writes still queued would otherwise be missing from the result
+    await writeQueue;
+
+    const fromDay = filters.from !== null ? getDay(filters.from) : null;
+    const toDay = filters.to !== null ? getDay(filters.to) : null;
+    const rotated = (await listRotatedFiles())
+        .filter(file => (fromDay === null || file.date >= fromDay) && (toDay === null || file.date <= toDay));
+
+    const events = [];
+    for (const name of [LOG_NAME, ...rotated.map(file => file.name)]) {
+        let content;
+        try {
+            content = await fs.promises.readFile(getDataPath(name), 'utf8');
+        } catch (error) {
+            continue;
+        }
+
+        const lines = content.split('\n');
+        for (let i = lines.length - 1; i >= 0 && events.length < limit; i--) {
+            if (!lines[i].trim()) continue;
+
+            let event;
+            try {
+                event = JSON.parse(lines[i]);
+            } catch (error) {
+                continue; // A torn final write
+            }
+            if (matches(event, filters)) {
+                events.push(event);
+            }
+        }
+
+        if (events.length >= limit) {
+            break;
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Waits for queued events to reach disk
+ * @returns {Promise}
+ */
+function flush() {
+    return writeQueue;
+}
+
+module.exports = {
+    ACTIONS,
+    OUTCOMES,
+    record,
+    recordAuthFailure,
+    query,
+    flush
+};
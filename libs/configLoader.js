@@ -0,0 +1,270 @@
+/**
+ * Configuration validation and hot reloading
+ * Every module shares the object `require('../config.json')` returns; reloads update it in place,
+ * so code that reads `config.x` when handling a request sees the new values from the next request on
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('silly-logger');
+const config = require('../config.json');
+const utils = require('./utils.js');
+const apiKeys = require('./apiKeys.js');
+
+// Constants for better maintainability
+const CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+const REQUIRED_FIELDS = Object.freeze(['port', 'name', 'keys', 'uploadDirectory']);
+const RESTART_REQUIRED = Object.freeze(['port', 'ssl', 'uploadDirectory', 'dataDirectory', 'useFileIndex']); // Read once at startup
+const WATCH_DEBOUNCE = 500; // Editors often write a file in several steps
+
+const listeners = [];
+let watcher = null;
+let updateQueue = Promise.resolve();
+
+/**
+ * Checks a configuration for problems
+ * @param {Object} candidate - Parsed configuration
+ * @returns {Array<string>} - Problems found, empty if the configuration is usable
+ */
+function validateConfig(candidate) {
+    const errors = [];
+
+    const missingFields = REQUIRED_FIELDS.filter(field => !candidate[field]);
+    if (missingFields.length > 0) {
+        errors.push(`Missing required configuration fields: ${missingFields.join(', ')}`);
+    }
+
+    // Validate keys
+    if (typeof candidate.keys !== 'object' || candidate.keys === null || Object.keys(candidate.keys).length === 0) {
+        errors.push('No API keys configured');
+    } else {
+        const malformed = Object.keys(candidate.keys).filter(username => {
+            const entry = candidate.keys[username];
+            return !apiKeys.isHashedEntry(entry) && !apiKeys.getPlaintextKey(entry);
+        });
+        if (malformed.length > 0) {
+            errors.push(`Invalid API key entries for: ${malformed.join(', ')}`);
+        }
+
+        Object.keys(candidate.keys).forEach(username => {
+            const scopes = candidate.keys[username]?.scopes;
+            if (scopes === undefined) {
+                return;
+            }
+            const unknown = apiKeys.findUnknownScopes(scopes);
+            if (!unknown) {
+                errors.push(`Scopes of ${username} must be an array of scope names`);
+            } else if (unknown.length > 0) {
+                errors.push(`Unknown scopes for ${username}: ${unknown.join(', ')} (known: ${apiKeys.SCOPES.join(', ')})`);
+            }
+        });
+    }
+
+    // Validate file size limits
+    if (candidate.fileSizeLimit && candidate.fileSizeLimit <= 0) {
+        errors.push('Invalid file size limit');
+    }
+
+    if (candidate.fileExtensionCheck?.enabled && !Array.isArray(candidate.fileExtensionCheck.extensionsAllowed)) {
+        errors.push('fileExtensionCheck.extensionsAllowed must be an array');
+    }
+
+    const minFreeBytes = candidate.health?.minFreeBytes;
+    if (minFreeBytes !== undefined && (typeof minFreeBytes !== 'number' || minFreeBytes < 0)) {
+        errors.push('health.minFreeBytes must be a number of bytes');
+    }
+
+    return errors;
+}
+
+/**
+ * Registers a function to run after every successful reload
+ * For state derived from the configuration, such as lookup tables and parser limits
+ * @param {Function} listener - Called with the live configuration
+ */
+function onReload(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Reads config.json again and applies it if it is valid
+ * An invalid file is logged and the running configuration is kept
+ * @returns {Promise<boolean>} - True if the new configuration was applied
+ */
+async function reloadConfig() {
+    let candidate;
+    try {
+        candidate = await readConfigFile();
+    } catch (error) {
+        logger.error(`Config reload failed, keeping the running configuration: ${error.message}`);
+        return false;
+    }
+
+    const errors = validateConfig(candidate);
+    if (errors.length > 0) {
+        errors.forEach(error => logger.error(`Config reload rejected: ${error}`));
+        return false;
+    }
+
+    // Settings the server was started with stay as they are until a restart
+    for (const field of RESTART_REQUIRED) {
+        if (JSON.stringify(candidate[field]) !== JSON.stringify(config[field])) {
+            logger.warn(`Config field '${field}' changed; restart the server to apply it`);
+        }
+        if (field in config) {
+            candidate[field] = config[field];
+        } else {
+            delete candidate[field];
+        }
+    }
+
+    Object.keys(config).forEach(field => {
+        if (!(field in candidate)) {
+            delete config[field];
+        }
+    });
+    Object.assign(config, candidate);
+
+    for (const listener of listeners) {
+        try {
+            listener(config);
+        } catch (error) {
+            logger.error(`Config reload listener failed: ${error.message}`);
+        }
+    }
+
+    logger.info('Configuration reloaded');
+    return true;
+}
+
+/**
+ * Reads config.json as it is on disk, without touching the running configuration
+ * @returns {Promise<Object>} - Parsed configuration
+ */
+async function readConfigFile() {
+    return JSON.parse(await fs.promises.readFile(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * Replaces config.json atomically (write temp + rename), so a crash mid-write never leaves a truncated file
+ * @param {Object} candidate - Configuration to write
+ * @returns {Promise<void>}
+ * @throws {Error} - If the configuration is invalid; config.json is left untouched
+ */
+async function writeConfigFile(candidate) {
+    const errors = validateConfig(candidate);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    // The replacement keeps the permissions of the file it replaces
+    const stats = await utils.getFileStats(CONFIG_PATH);
+    const tempPath = `${CONFIG_PATH}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tempPath, 'w', stats ? stats.mode & 0o777 : 0o600);
+    try {
+        await handle.writeFile(JSON.stringify(candidate, null, 4) + '\n', 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.promises.rename(tempPath, CONFIG_PATH);
+    } catch (error) {
+        await utils.safeDeleteFile(tempPath);
+        throw error;
+    }
+}
+
+/**
+ * Changes config.json on disk; changes made by this process are applied one after another
+ * The running configuration is only updated by the next reload
+ * @param {Function} change - Receives the parsed file to modify; may return a value
+ * @returns {Promise<*>} - What change returned
+ */
+function updateConfigFile(change) {
+    const update = updateQueue.then(async () => {
+        const candidate = await readConfigFile();
+        const result = await change(candidate);
+        await writeConfigFile(candidate);
+        return result;
+    });
+
+    // A failed update must not block the ones queued after it
+    updateQueue = update.catch(() => {});
+    return update;
+}
+
+/**
+ * Replaces plaintext keys in config.json with salted hashes
+ * @returns {Promise<number>} - Number of keys hashed
+ */
+async function migratePlaintextKeys() {
+    const candidate = await readConfigFile();
+    const plaintext = Object.keys(candidate.keys || {}).filter(username => !apiKeys.isHashedEntry(candidate.keys[username]));
+    if (plaintext.length === 0) {
+        return 0;
+    }
+
+    return updateConfigFile((current) => {
+        let hashed = 0;
+        for (const username of Object.keys(current.keys || {})) {
+            if (!apiKeys.isHashedEntry(current.keys[username]) && apiKeys.getPlaintextKey(current.keys[username])) {
+                current.keys[username] = apiKeys.toHashedEntry(current.keys[username]);
+                hashed++;
+            }
+        }
+        return hashed;
+    });
+}
+
+/**
+ * Reloads the configuration whenever config.json changes
+ * The directory is watched because editors often replace the file instead of writing to it
+ */
+function watchConfig() {
+    if (watcher) {
+        return;
+    }
+
+    const reload = utils.debounce(() => reloadConfig(), WATCH_DEBOUNCE);
+
+    try {
+        watcher = fs.watch(path.dirname(CONFIG_PATH), { persistent: false }, (eventType, filename) => {
+            if (filename === path.basename(CONFIG_PATH)) {
+                reload();
+            }
+        });
+    } catch (error) {
+        logger.warn(`Could not watch config.json, send SIGHUP to reload it: ${error.message}`);
+        return;
+    }
+
+    watcher.on('error', (error) => {
+        logger.error(`Config watcher failed, send SIGHUP to reload config.json: ${error.message}`);
+        stopWatching();
+    });
+}
+
+/**
+ * Stops watching config.json
+ */
+function stopWatching() {
+    if (watcher) {
+        watcher.close();
+        watcher = null;
+    }
+}
+
+module.exports = {
+    CONFIG_PATH,
+    validateConfig,
+    onReload,
+    reloadConfig,
+    readConfigFile,
+    writeConfigFile,
+    updateConfigFile,
+    migratePlaintextKeys,
+    watchConfig,
+    stopWatching
+};
@@ -0,0 +1,191 @@
+/**
+ * Magic-byte content sniffing
+ * Detects the real type of an upload from its first bytes so a file can't pose as another format
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+
+// Constants for better maintainability
+const SNIFF_LENGTH = 4100; // Enough for every signature below, including EBML doctypes
+const ISO_BMFF_BRANDS = Object.freeze({
+    'image/avif': ['avif', 'avis'],
+    'video/x-m4v': ['M4V ', 'M4VH', 'M4VP'],
+    'video/quicktime': ['qt  '],
+    'video/mp4': ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'MSNV', 'NDAS', 'f4v ', 'mmp4']
+});
+
+// Markup is never recorded as the type of a file with an unknown extension
+const ACTIVE_CONTENT_TYPES = Object.freeze(['text/html', 'image/svg+xml', 'application/xml']);
+
+// Types each sniffed extension may contain; extensions listed here must positively match
+const EXPECTED_TYPES = Object.freeze({
+    '.png': ['image/png'],
+    '.jpg': ['image/jpeg'],
+    '.jpeg': ['image/jpeg'],
+    '.gif': ['image/gif'],
+    '.webp': ['image/webp'],
+    '.avif': ['image/avif'],
+    '.bmp': ['image/bmp'],
+    '.tif': ['image/tiff'],
+    '.tiff': ['image/tiff'],
+    '.mp4': ['video/mp4', 'video/x-m4v'],
+    '.m4v': ['video/x-m4v', 'video/mp4'],
+    '.mov': ['video/quicktime', 'video/mp4'],
+    '.webm': ['video/webm'],
+    '.mkv': ['video/x-matroska', 'video/webm'] // WebM is a Matroska profile
+});
+
+/**
+ * Checks whether a buffer starts with the given bytes at an offset
+ * @param {Buffer} buffer - Buffer to inspect
+ * @param {Array<number>|string} signature - Bytes or ASCII string to look for
+ * @param {number} offset - Position to compare at
+ * @returns {boolean} - True if the bytes match
+ */
+function matches(buffer, signature, offset = 0) {
+    const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+    return buffer.length >= offset + bytes.length && buffer.compare(bytes, 0, bytes.length, offset, offset + bytes.length) === 0;
+}
+
+/**
+ * Detects ISO base media files (MP4, M4V, MOV, AVIF) from their ftyp box
+ * @param {Buffer} buffer - First bytes of the file
+ * @returns {string|null} - MIME type or null
+ */
+function detectIsoBmff(buffer) {
+    if (!matches(buffer, 'ftyp', 4)) {
+        return null;
+    }
+
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const majorBrand = buffer.toString('latin1', 8, 12);
+    const compatibleBrands = [];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        compatibleBrands.push(buffer.toString('latin1', offset, offset + 4));
+    }
+
+    for (const [type, brands] of Object.entries(ISO_BMFF_BRANDS)) {
+        if (brands.includes(majorBrand)) {
+            return type;
+        }
+    }
+
+    // Still images in a HEIF container name AVIF as a compatible brand
+    if (compatibleBrands.some(brand => ISO_BMFF_BRANDS['image/avif'].includes(brand))) {
+        return 'image/avif';
+    }
+    if (compatibleBrands.some(brand => ISO_BMFF_BRANDS['video/mp4'].includes(brand))) {
+        return 'video/mp4';
+    }
+
+    return null;
+}
+
+/**
+ * Detects Matroska and WebM from the EBML header's doctype
+ * @param {Buffer} buffer - First bytes of the file
+ * @returns {string|null} - MIME type or null
+ */
+function detectMatroska(buffer) {
+    if (!matches(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+        return null;
+    }
+
+    const header = buffer.toString('latin1', 0, Math.min(buffer.length, 64));
+    if (header.includes('webm')) {
+        return 'video/webm';
+    }
+    if (header.includes('matroska')) {
+        return 'video/x-matroska';
+    }
+    return null;
+}
+
+/**
+ * Detects markup that browsers would execute if it were served as a page or image
+ * @param {Buffer} buffer - First bytes of the file
+ * @returns {string|null} - MIME type or null
+ */
+function detectMarkup(buffer) {
+    const text = buffer.toString('utf8', 0, Math.min(buffer.length, 1024))
+        .replace(/^\uFEFF/, '')
+        .trimStart()
+        .toLowerCase();
+
+    if (/^<svg[\s>]/.test(text) || (text.startsWith('<?xml') && text.includes('<svg'))) {
+        return 'image/svg+xml';
+    }
+    if (/^<(!doctype html|html|head|body|script|iframe)[\s>]/.test(text)) {
+        return 'text/html';
+    }
+    if (text.startsWith('<?xml')) {
+        return 'application/xml';
+    }
+    return null;
+}
+
+/**
+ * Detects the MIME type of content from its first bytes
+ * @param {Buffer} buffer - First bytes of the content
+ * @returns {string|null} - Detected MIME type or null if unrecognized
+ */
+function detectMimeType(buffer) {
+    if (matches(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (matches(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (matches(buffer, 'GIF87a') || matches(buffer, 'GIF89a')) return 'image/gif';
+    if (matches(buffer, 'RIFF') && matches(buffer, 'WEBP', 8)) return 'image/webp';
+    if (matches(buffer, 'BM') && buffer.length >= 14) return 'image/bmp';
+    if (matches(buffer, [0x49, 0x49, 0x2A, 0x00]) || matches(buffer, [0x4D, 0x4D, 0x00, 0x2A])) return 'image/tiff';
+
+    return detectIsoBmff(buffer) || detectMatroska(buffer) || detectMarkup(buffer);
+}
+
+/**
+ * Reads the first bytes of a file
+ * @param {string} filePath - File to read
+ * @returns {Promise<Buffer>} - Up to SNIFF_LENGTH bytes
+ */
+async function readFileHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_LENGTH);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_LENGTH, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Checks a stored file's content against the type its name claims
+ * Media extensions must match a known signature; other extensions are only rejected when the
+ * content is recognized as something else
+ * @param {string} filePath - Path of the stored file
+ * @param {string} filename - Name whose extension is checked
+ * @returns {Promise<{valid: boolean, mimetype: string, detected: string|null}>}
+ */
+async function verifyFileContent(filePath, filename) {
+    const detected = detectMimeType(await readFileHeader(filePath));
+    const ext = path.extname(filename).toLowerCase();
+    const declared = mime.lookup(ext) || null;
+    const expected = EXPECTED_TYPES[ext] || (declared ? [declared] : null);
+
+    if (!expected) {
+        const safe = detected && !ACTIVE_CONTENT_TYPES.includes(detected);
+        return { valid: true, mimetype: safe ? detected : 'application/octet-stream', detected };
+    }
+
+    const valid = EXPECTED_TYPES[ext]
+        ? expected.includes(detected)
+        : !detected || expected.includes(detected);
+
+    return { valid, mimetype: valid && detected ? detected : expected[0], detected };
+}
+
+module.exports = {
+    detectMimeType,
+    readFileHeader,
+    verifyFileContent
+};
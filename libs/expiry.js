@@ -0,0 +1,68 @@
+/**
+ * Upload expiry policy
+ * Resolves the lifetime of an upload from the request and the per-user limits in config.json
+ */
+
+const config = require('../config.json');
+const utils = require('./utils.js');
+
+const DEFAULT_EXPIRY = 'never';
+
+/**
+ * Gets the expiry settings for a user, falling back to the global settings
+ * @param {string} username - Uploader's username
+ * @returns {Object} - { default, max } duration strings
+ */
+function getExpirySettings(username) {
+    const globalSettings = config.expiry || {};
+    const userSettings = config.users?.[username]?.expiry || {};
+
+    return {
+        default: userSettings.default || globalSettings.default || DEFAULT_EXPIRY,
+        max: userSettings.max || globalSettings.max || DEFAULT_EXPIRY
+    };
+}
+
+/**
+ * Extracts the requested lifetime from the form body or the X-Expires header
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Requested duration string or null if none was sent
+ */
+function extractRequestedExpiry(req) {
+    return req.body?.expires || req.headers['x-expires'] || null;
+}
+
+/**
+ * Resolves when an upload should expire
+ * Requests longer than the user's maximum are clamped to the maximum
+ * @param {string} username - Uploader's username
+ * @param {string|null} requested - Requested duration (e.g. "1h", "7d", "never")
+ * @param {number} now - Upload time in milliseconds
+ * @returns {{valid: boolean, expiresAt: string|null}} - ISO expiry time, null for never
+ */
+function resolveExpiry(username, requested, now = Date.now()) {
+    const settings = getExpirySettings(username);
+    const lifetime = utils.parseDuration(requested || settings.default);
+
+    if (lifetime === undefined) {
+        return { valid: false, expiresAt: null };
+    }
+
+    const maxLifetime = utils.parseDuration(settings.max);
+    let effective = lifetime;
+
+    if (maxLifetime !== null && maxLifetime !== undefined) {
+        effective = lifetime === null ? maxLifetime : Math.min(lifetime, maxLifetime);
+    }
+
+    return {
+        valid: true,
+        expiresAt: effective === null ? null : new Date(now + effective).toISOString()
+    };
+}
+
+module.exports = {
+    getExpirySettings,
+    extractRequestedExpiry,
+    resolveExpiry
+};
@@ -0,0 +1,163 @@
+/**
+ * Range-aware file streaming shared by every route that serves stored files
+ * Handles single, open, suffix and multiple byte ranges (multipart/byteranges) and 416 responses
+ */
+
+const fs = require('fs');
+const logger = require('silly-logger');
+const utils = require('./utils.js');
+const httpCache = require('./httpCache.js');
+
+// Constants for better maintainability
+const MAX_RANGES = 16; // Requests for more ranges than this get the whole file instead
+const BYTE_RANGES_PATTERN = /^bytes=\s*(\d+-\d*|-\d+)(\s*,\s*(\d+-\d*|-\d+))*\s*$/;
+
+/**
+ * Reports the bytes a file stream hands to the response
+ * @param {fs.ReadStream} stream - File stream piped into the response
+ * @param {Function} onBytesSent - Called with the size of each chunk, if set
+ */
+function reportBytes(stream, onBytesSent) {
+    if (onBytesSent) {
+        stream.on('data', chunk => onBytesSent(chunk.length));
+    }
+}
+
+/**
+ * Streams a whole file or one range of it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} filePath - File to read
+ * @param {Object} range - Byte range, or null for the whole file
+ * @param {number} size - File size
+ * @param {Function} onBytesSent - Called with the number of file bytes sent, if set
+ */
+function sendSingle(req, res, filePath, range, size, onBytesSent) {
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+
+    res.setHeader('Content-Length', size === 0 ? 0 : end - start + 1);
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+
+    if (req.method === 'HEAD' || size === 0) {
+        return res.end();
+    }
+
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', (err) => {
+        logger.error(`Error streaming ${filePath}: ${err.message}`);
+        if (!res.headersSent) {
+            res.status(500).end();
+        } else {
+            res.destroy();
+        }
+    });
+    reportBytes(stream, onBytesSent);
+    stream.pipe(res);
+}
+
+/**
+ * Streams several ranges as a multipart/byteranges body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} filePath - File to read
+ * @param {Array<Object>} ranges - Byte ranges
+ * @param {number} size - File size
+ * @param {string} contentType - Type of the file itself
+ * @param {Function} onBytesSent - Called with the number of file bytes sent, if set
+ */
+function sendMultipart(req, res, filePath, ranges, size, contentType, onBytesSent) {
+    const boundary = utils.generateSecureRandomString(24);
+    const partHeaders = ranges.map((range, index) => (index > 0 ? '\r\n' : '') +
+        `--${boundary}\r\n` +
+        `Content-Type: ${contentType}\r\n` +
+        `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`);
+    const closing = `\r\n--${boundary}--\r\n`;
+
+    const length = ranges.reduce((total, range, index) => {
+        return total + Buffer.byteLength(partHeaders[index]) + (range.end - range.start + 1);
+    }, Buffer.byteLength(closing));
+
+    res.status(206);
+    res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+    res.setHeader('Content-Length', length);
+
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    let current = null;
+    res.once('close', () => current?.destroy());
+
+    // Parts are streamed one after another into the same response
+    const writePart = (index) => {
+        if (index === ranges.length) {
+            return res.end(closing);
+        }
+
+        res.write(partHeaders[index]);
+        current = fs.createReadStream(filePath, { start: ranges[index].start, end: ranges[index].end });
+        current.on('error', (err) => {
+            logger.error(`Error streaming ranges of ${filePath}: ${err.message}`);
+            res.destroy();
+        });
+        reportBytes(current, onBytesSent);
+        current.on('end', () => writePart(index + 1));
+        current.pipe(res, { end: false });
+    };
+
+    writePart(0);
+}
+
+/**
+ * Serves a stored file, honouring Range and If-Range
+ * Conditional GETs (304) are answered by the caller before the file is served
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} file - File to serve
+ * @param {string} file.filePath - Path on disk
+ * @param {number} file.size - Size in bytes
+ * @param {string} file.contentType - MIME type to serve it as
+ * @param {Object} file.validators - Validators from httpCache.getValidators, used for If-Range
+ * @param {string} file.downloadName - If set, the file is sent as an attachment with this name
+ * @param {Function} file.onBytesSent - Called with the number of file bytes sent, if set
+ */
+function serveFile(req, res, file) {
+    const { filePath, size, contentType, validators, downloadName, onBytesSent } = file;
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (downloadName) {
+        res.attachment(downloadName);
+    } else {
+        res.setHeader('Content-Disposition', 'inline');
+    }
+    res.setHeader('Content-Type', contentType);
+
+    // A stale If-Range means the client's partial copy is outdated, so it gets the whole file
+    const useRange = BYTE_RANGES_PATTERN.test(req.headers.range || '') && httpCache.isRangeFresh(req, validators);
+    const ranges = useRange ? req.range(size, { combine: true }) : undefined;
+
+    if (ranges === -1) {
+        res.status(416);
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.end();
+    }
+
+    // Malformed Range headers (and too many ranges) are ignored, as RFC 9110 allows
+    if (!Array.isArray(ranges) || ranges.length > MAX_RANGES) {
+        return sendSingle(req, res, filePath, null, size, onBytesSent);
+    }
+
+    if (ranges.length === 1) {
+        return sendSingle(req, res, filePath, ranges[0], size, onBytesSent);
+    }
+
+    sendMultipart(req, res, filePath, ranges, size, contentType, onBytesSent);
+}
+
+module.exports = {
+    serveFile
+};
@@ -0,0 +1,435 @@
+/**
+ * Upload metadata store
+ * Persistent record of every upload (owner, names, size, MIME type, hash, timestamps)
+ * Several public filenames may share one stored blob when their content is identical
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mime = require('mime-types');
+const logger = require('silly-logger');
+const config = require('../config.json');
+const { createJournal, getDataPath } = require('./journal.js');
+const utils = require('./utils.js');
+const thumbnails = require('./thumbnails.js');
+const contentSniffer = require('./contentSniffer.js');
+
+const journal = createJournal(getDataPath('uploads.jsonl'));
+
+// In-memory indexes for deduplication: stored blob -> public filenames, hash -> stored blob
+const referencesByStoredName = new Map();
+const storedNameByHash = new Map();
+let indexBuilt = false;
+
+/**
+ * Adds a record to the deduplication indexes
+ * @param {Object} record - Upload record
+ */
+function indexRecord(record) {
+    if (!referencesByStoredName.has(record.storedName)) {
+        referencesByStoredName.set(record.storedName, new Set());
+    }
+    referencesByStoredName.get(record.storedName).add(record.filename);
+
+    if (record.sha256 && !storedNameByHash.has(record.sha256)) {
+        storedNameByHash.set(record.sha256, record.storedName);
+    }
+}
+
+/**
+ * Removes a record from the deduplication indexes
+ * @param {Object} record - Upload record
+ */
+function unindexRecord(record) {
+    const references = referencesByStoredName.get(record.storedName);
+    if (references) {
+        references.delete(record.filename);
+        if (references.size === 0) {
+            referencesByStoredName.delete(record.storedName);
+        }
+    }
+
+    // Only forget the hash once no record points at its blob any more
+    if (record.sha256 && storedNameByHash.get(record.sha256) === record.storedName
+        && !referencesByStoredName.has(record.storedName)) {
+        storedNameByHash.delete(record.sha256);
+    }
+}
+
+/**
+ * Builds the deduplication indexes from the journal on first use
+ */
+function ensureIndex() {
+    if (indexBuilt) return;
+
+    referencesByStoredName.clear();
+    storedNameByHash.clear();
+    journal.values().forEach(indexRecord);
+    indexBuilt = true;
+}
+
+/**
+ * Loads the journal from disk and rebuilds the indexes
+ */
+function load() {
+    journal.load();
+    indexBuilt = false;
+    ensureIndex();
+}
+
+/**
+ * Returns the on-disk path of an upload record
+ * @param {Object} record - Upload record
+ * @returns {string} - Absolute path of the stored file
+ */
+function getStoredPath(record) {
+    return path.resolve(config.uploadDirectory, record.storedName);
+}
+
+/**
+ * Hashes a deletion token so the store never holds usable tokens
+ * @param {string} token - Deletion token
+ * @returns {string} - SHA-256 of the token
+ */
+function hashDeleteToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Records a completed upload
+ * @param {Object} upload - Upload details
+ * @param {string} upload.filename - Public filename used in URLs
+ * @param {string} upload.storedName - Filename on disk (defaults to filename)
+ * @param {string} upload.owner - Username of the uploader
+ * @param {string} upload.originalName - Filename as sent by the client
+ * @param {number} upload.size - Size in bytes
+ * @param {string} upload.mimetype - Detected MIME type
+ * @param {string} upload.sha256 - SHA-256 of the content
+ * @param {string} upload.deleteToken - Single-purpose deletion token (stored hashed)
+ * @param {string|null} upload.expiresAt - ISO expiry time, null to keep forever
+ * @returns {Promise<Object>} - The stored record
+ */
+async function addUpload(upload) {
+    const now = new Date().toISOString();
+    const record = {
+        filename: upload.filename,
+        storedName: upload.storedName || upload.filename,
+        owner: upload.owner || null,
+        originalName: upload.originalName || upload.filename,
+        size: upload.size,
+        mimetype: upload.mimetype || mime.lookup(upload.filename) || 'application/octet-stream',
+        sha256: upload.sha256 || null,
+        deleteTokenHash: upload.deleteToken ? hashDeleteToken(upload.deleteToken) : null,
+        expiresAt: upload.expiresAt || null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    ensureIndex();
+
+    // A record imported from disk while the upload was still being written is replaced
+    const existing = journal.get(record.filename);
+    if (existing) {
+        unindexRecord(existing);
+    }
+
+    indexRecord(record);
+    await journal.put(record.filename, record);
+    return record;
+}
+
+/**
+ * Gets the record for a public filename
+ * @param {string} filename - Public filename
+ * @returns {Object|null} - Upload record or null if unknown
+ */
+function getUpload(filename) {
+    return journal.get(filename);
+}
+
+/**
+ * Finds the upload a deletion token was issued for
+ * @param {string} token - Deletion token from a delete URL
+ * @returns {Object|null} - Upload record or null if the token is unknown
+ */
+function findByDeleteToken(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const tokenHash = hashDeleteToken(token);
+    return journal.values().find(record => record.deleteTokenHash === tokenHash) || null;
+}
+
+/**
+ * Finds an existing upload with identical content
+ * @param {string} sha256 - SHA-256 of the content
+ * @returns {Object|null} - A record sharing that content or null if none
+ */
+function findBySha256(sha256) {
+    ensureIndex();
+    const storedName = storedNameByHash.get(sha256);
+    if (!storedName) {
+        return null;
+    }
+
+    const [filename] = referencesByStoredName.get(storedName) || [];
+    return filename ? journal.get(filename) : null;
+}
+
+/**
+ * Counts the public filenames that still point at a stored blob
+ * @param {string} storedName - Filename on disk
+ * @returns {number} - Number of references
+ */
+function countReferences(storedName) {
+    ensureIndex();
+    return referencesByStoredName.get(storedName)?.size || 0;
+}
+
+/**
+ * Applies changes to an existing record
+ * @param {string} filename - Public filename
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} - Updated record or null if unknown
+ */
+async function updateUpload(filename, changes) {
+    const record = journal.get(filename);
+    if (!record) {
+        return null;
+    }
+
+    const updated = { ...record, ...changes, updatedAt: new Date().toISOString() };
+    ensureIndex();
+    unindexRecord(record);
+    indexRecord(updated);
+    await journal.put(filename, updated);
+    return updated;
+}
+
+/**
+ * Removes the record for a public filename
+ * @param {string} filename - Public filename
+ * @returns {Promise<Object|null>} - Removed record or null if unknown
+ */
+async function removeUpload(filename) {
+    const record = journal.get(filename);
+    if (!record) {
+        return null;
+    }
+
+    ensureIndex();
+    unindexRecord(record);
+    await journal.remove(filename);
+    return record;
+}
+
+/**
+ * Removes an upload's metadata, and its bytes once no other upload references them
+ * @param {Object} record - Upload record to delete
+ * @param {string} shortKey - Caller identifier for logging
+ */
+async function deleteUpload(record, shortKey) {
+    const filePath = getStoredPath(record);
+
+    // Security check: ensure the resolved path is within upload directory
+    const uploadDir = path.resolve(config.uploadDirectory);
+    if (!filePath.startsWith(uploadDir)) {
+        throw new Error(`Stored path outside upload directory: ${record.storedName}`);
+    }
+
+    await removeUpload(record.filename);
+
+    const remaining = countReferences(record.storedName);
+    if (remaining > 0) {
+        logger.info(`Deleted file ${record.filename}, content kept for ${remaining} other reference(s) (${shortKey})`);
+        return;
+    }
+
+    // A missing file on disk still drops the stale record
+    if (!(await utils.safeDeleteFile(filePath))) {
+        logger.warn(`File ${record.filename} was already missing from disk (${shortKey})`);
+    }
+    await thumbnails.removeThumbnail(record.storedName);
+    logger.info(`Deleted file ${record.filename} (${shortKey})`);
+}
+
+/**
+ * Checks whether an upload is past its expiry
+ * @param {Object} record - Upload record
+ * @param {number} now - Reference time in milliseconds
+ * @returns {boolean} - True if the upload has expired
+ */
+function isExpired(record, now = Date.now()) {
+    return Boolean(record.expiresAt) && Date.parse(record.expiresAt) <= now;
+}
+
+/**
+ * Deletes every upload that is past its expiry
+ * @returns {Promise<number>} - Number of uploads removed
+ */
+async function reapExpired() {
+    const now = Date.now();
+    const expired = journal.values().filter(record => isExpired(record, now));
+
+    for (const record of expired) {
+        try {
+            await deleteUpload(record, 'expiry reaper');
+        } catch (error) {
+            logger.error(`Failed to reap expired file ${record.filename}: ${error.message}`);
+        }
+    }
+
+    return expired.length;
+}
+
+/**
+ * Lists upload records, oldest first
+ * @param {Object} filter - Optional filter
+ * @param {string} filter.owner - Only return uploads by this user
+ * @returns {Array<Object>} - Upload records
+ */
+function listUploads(filter = {}) {
+    let records = journal.values();
+
+    if (filter.owner !== undefined) {
+        records = records.filter(record => record.owner === filter.owner);
+    }
+
+    return records;
+}
+
+/**
+ * Sums the files on disk; deduplicated uploads share one stored file and count once
+ * @returns {{bytes: number, files: number}} - Stored bytes and number of stored files
+ */
+function getStorageTotals() {
+    const sizes = new Map();
+    for (const record of journal.values()) {
+        sizes.set(record.storedName, record.size || 0);
+    }
+
+    let bytes = 0;
+    for (const size of sizes.values()) {
+        bytes += size;
+    }
+    return { bytes, files: sizes.size };
+}
+
+/**
+ * Records a file found in the upload directory without an upload behind it
+ * @param {string} name - Filename in the upload directory
+ * @param {fs.Stats} stats - Stats of the file
+ * @returns {Promise<Object>} - The stored record
+ */
+async function importFile(name, stats) {
+    const filePath = path.join(path.resolve(config.uploadDirectory), name);
+    const record = {
+        filename: name,
+        storedName: name,
+        owner: null,
+        originalName: name,
+        size: stats.size,
+        mimetype: (await contentSniffer.verifyFileContent(filePath, name)).mimetype,
+        sha256: await utils.calculateFileHash(filePath),
+        deleteTokenHash: null,
+        expiresAt: null,
+        createdAt: stats.mtime.toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    ensureIndex();
+    indexRecord(record);
+    await journal.put(record.filename, record);
+    return record;
+}
+
+/**
+ * Adds records for files already in the upload directory that the store does not know about
+ * Used on first start so uploads made before the store existed stay listed and deletable
+ * @returns {Promise<number>} - Number of files imported
+ */
+async function importExistingFiles() {
+    const uploadDir = path.resolve(config.uploadDirectory);
+    let entries;
+
+    try {
+        entries = await fs.promises.readdir(uploadDir, { withFileTypes: true });
+    } catch (error) {
+        logger.warn(`Could not scan upload directory for import: ${error.message}`);
+        return 0;
+    }
+
+    ensureIndex();
+    let imported = 0;
+
+    for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith('.') || referencesByStoredName.has(entry.name)) {
+            continue;
+        }
+
+        const stats = await utils.getFileStats(path.join(uploadDir, entry.name));
+        if (!stats) continue;
+
+        await importFile(entry.name, stats);
+        imported++;
+    }
+
+    if (imported > 0) {
+        logger.info(`Imported ${imported} existing files into the metadata store`);
+    }
+
+    return imported;
+}
+
+/**
+ * Brings the store in line with one file of the upload directory after it changed outside the server
+ * Unknown files are imported; records whose stored file disappeared are dropped
+ * @param {string} name - Filename in the upload directory
+ * @returns {Promise<string|null>} - 'imported', 'removed' or null if nothing changed
+ */
+async function syncStoredFile(name) {
+    ensureIndex();
+    const stats = await utils.getFileStats(path.join(path.resolve(config.uploadDirectory), name));
+
+    if (stats && stats.isFile()) {
+        if (referencesByStoredName.has(name)) {
+            return null;
+        }
+        await importFile(name, stats);
+        return 'imported';
+    }
+
+    const references = referencesByStoredName.get(name);
+    if (!references) {
+        return null;
+    }
+
+    for (const filename of [...references]) {
+        await removeUpload(filename);
+    }
+    await thumbnails.removeThumbnail(name);
+    return 'removed';
+}
+
+module.exports = {
+    load,
+    flush: journal.flush,
+    addUpload,
+    getUpload,
+    hashDeleteToken,
+    findByDeleteToken,
+    findBySha256,
+    countReferences,
+    updateUpload,
+    removeUpload,
+    deleteUpload,
+    isExpired,
+    reapExpired,
+    listUploads,
+    getStorageTotals,
+    getStoredPath,
+    importExistingFiles,
+    syncStoredFile
+};
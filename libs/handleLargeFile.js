@@ -6,11 +6,16 @@
 const Busboy = require('busboy');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const mime = require('mime-types');
 const config = require('../config.json');
 const logger = require('silly-logger');
 const randomString = require('random-string');
 const { format } = require('date-fns');
 const response = require('./response.js');
+const middleware = require('./middleware.js');
+const quota = require('./quota.js');
+const uploadProgress = require('./uploadProgress.js');
 
 // Constants for better maintainability
 const DEFAULT_LARGE_FILE_LIMIT = 5 * 1024 * 1024 * 1024; // 5GB
@@ -77,14 +82,26 @@ const handleLargeUpload = (req, res, next) => {
     }
     
     logger.info(`Large file upload detected (${contentLength} bytes), using streaming handler`);
+    req.locals.uploadHandler = 'stream';
     
     let filename = null;
+    let originalName = null;
     let filePath = null;
     let writeStream = null;
+    let hash = null;
     let bytesReceived = 0;
+    let byteBudget = null;
+    let failed = false;
     let lastProgressLog = 0;
     let uploadStartTime = Date.now();
     
+    // Pass an error down the chain once and stop handling the rest of the stream
+    const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        next(error);
+    };
+    
     // Configure Busboy with appropriate limits and security settings
     const busboy = Busboy({ 
         headers: req.headers,
@@ -118,7 +135,7 @@ const handleLargeUpload = (req, res, next) => {
         
         if (!originalFilename) {
             file.resume(); // Discard the file
-            return next(new Error("No filename provided"));
+            return fail(new Error("No filename provided"));
         }
         
         // Validate file extension
@@ -126,12 +143,30 @@ const handleLargeUpload = (req, res, next) => {
             file.resume(); // Discard the file
             const error = new Error("Invalid file extension");
             error.code = "INVALID_FILE_EXTENSION";
-            return next(error);
+            return fail(error);
+        }
+        
+        // Check the scope and quota before writing when the key field arrived ahead of the file
+        const username = middleware.authenticateBodyKey(req);
+        if (username) {
+            if (!middleware.hasScope(username, 'upload')) {
+                file.resume(); // Discard the file
+                return fail(middleware.insufficientScopeError('upload'));
+            }
+            uploadProgress.setOwner(req.locals.uploadId, username, req.locals.fullKey);
+            const { allowed, remainingBytes } = quota.checkIncomingUpload(req, username);
+            if (!allowed) {
+                file.resume(); // Discard the file
+                return fail(quota.quotaExceededError());
+            }
+            byteBudget = remainingBytes;
         }
         
         // Generate unique filename
+        originalName = originalFilename;
         filename = generateUniqueFilename(originalFilename);
         filePath = path.join(config.uploadDirectory, filename);
+        hash = crypto.createHash('sha256');
         
         logger.info(`Streaming file upload started: ${originalFilename} -> ${filename} (${req.locals?.shortKey || 'unknown'})`);
         
@@ -140,14 +175,14 @@ const handleLargeUpload = (req, res, next) => {
             writeStream = fs.createWriteStream(filePath);
         } catch (error) {
             logger.error(`Failed to create write stream: ${error.message}`);
-            return next(error);
+            return fail(error);
         }
         
         // Handle write stream errors
         writeStream.on('error', async (err) => {
             logger.error(`Error writing file: ${err.message} (${req.locals?.shortKey || 'unknown'})`);
             await cleanupFile(filePath);
-            next(err);
+            fail(err);
         });
         
         // Handle file stream errors
@@ -157,12 +192,24 @@ const handleLargeUpload = (req, res, next) => {
                 writeStream.destroy();
             }
             await cleanupFile(filePath);
-            next(err);
+            fail(err);
         });
         
         // Track upload progress
         file.on('data', (chunk) => {
             bytesReceived += chunk.length;
+            hash.update(chunk);
+            
+            // Stop writing as soon as the upload outgrows the remaining quota
+            if (byteBudget !== null && bytesReceived > byteBudget && !failed) {
+                file.unpipe(writeStream);
+                file.resume(); // Drain the rest of the part
+                writeStream.once('close', () => cleanupFile(filePath));
+                writeStream.destroy();
+                return fail(quota.quotaExceededError());
+            }
+            
+            uploadProgress.reportProgress(req.locals?.uploadId, bytesReceived);
             
             // Log progress at intervals
             if (bytesReceived - lastProgressLog >= PROGRESS_LOG_INTERVAL) {
@@ -190,6 +237,10 @@ const handleLargeUpload = (req, res, next) => {
     
     // Handle upload completion
     busboy.on('finish', () => {
+        if (failed) {
+            return;
+        }
+        
         if (!filename) {
             return response.noFileUploaded(res);
         }
@@ -203,12 +254,17 @@ const handleLargeUpload = (req, res, next) => {
         req.file = {
             filename: filename,
             path: filePath,
-            originalname: filename,
+            originalname: originalName,
             size: bytesReceived,
-            mimetype: 'application/octet-stream' // Default mimetype for large files
+            mimetype: mime.lookup(filename) || 'application/octet-stream',
+            sha256: hash.digest('hex')
         };
         
-        next();
+        // Only hand over once every byte has been flushed to disk
+        if (writeStream.writableFinished) {
+            return next();
+        }
+        writeStream.once('finish', () => next());
     });
     
     // Handle busboy errors
@@ -225,10 +281,10 @@ const handleLargeUpload = (req, res, next) => {
         if (err.code === 'LIMIT_FILE_SIZE') {
             const error = new Error("File too large");
             error.code = "LIMIT_FILE_SIZE";
-            return next(error);
+            return fail(error);
         }
         
-        next(err);
+        fail(err);
     });
     
     // Handle request errors and cleanup
@@ -242,7 +298,8 @@ const handleLargeUpload = (req, res, next) => {
     
     // Handle client disconnect
     req.on('close', async () => {
-        if (!res.headersSent) {
+        // 'close' also fires after a fully received body, only clean up aborted uploads
+        if (!res.headersSent && !req.complete) {
             logger.warn(`Client disconnected during upload (${req.locals?.shortKey || 'unknown'})`);
             if (writeStream) {
                 writeStream.destroy();
@@ -0,0 +1,87 @@
+/**
+ * Multer storage engine that writes uploads to disk and hashes them while they stream
+ * Avoids re-reading the finished file just to compute its SHA-256
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Creates a disk storage engine that also reports the SHA-256 of each file
+ * @param {Object} options - Storage options (same shape as multer.diskStorage)
+ * @param {Function} options.destination - (req, file, cb) resolving the target directory
+ * @param {Function} options.filename - (req, file, cb) resolving the stored filename
+ * @param {Function} options.limit - Optional (req) returning a per-request byte limit or null
+ * @param {Function} options.limitError - Optional factory for the error raised when the limit is hit
+ * @param {Function} options.progress - Optional (req, bytes) called as the file's bytes arrive
+ * @returns {Object} - Multer storage engine
+ */
+function createHashingStorage(options) {
+    return {
+        _handleFile(req, file, cb) {
+            options.destination(req, file, (err, destination) => {
+                if (err) return cb(err);
+
+                options.filename(req, file, (err, filename) => {
+                    if (err) return cb(err);
+
+                    const finalPath = path.join(destination, filename);
+                    const hash = crypto.createHash('sha256');
+                    const outStream = fs.createWriteStream(finalPath);
+                    const limit = options.limit ? options.limit(req) : null;
+                    let size = 0;
+                    let aborted = false;
+
+                    file.stream.on('data', (chunk) => {
+                        size += chunk.length;
+                        hash.update(chunk);
+
+                        if (options.progress) {
+                            options.progress(req, size);
+                        }
+
+                        if (limit !== null && size > limit && !aborted) {
+                            aborted = true;
+                            file.stream.unpipe(outStream);
+                            file.stream.resume(); // Drain the rest of the part
+                            outStream.once('close', () => {
+                                fs.unlink(finalPath, () => {
+                                    const error = options.limitError ? options.limitError() : new Error("File too large");
+                                    error.code = error.code || "LIMIT_FILE_SIZE";
+                                    cb(error);
+                                });
+                            });
+                            outStream.destroy();
+                        }
+                    });
+
+                    outStream.on('error', cb);
+                    outStream.on('finish', () => {
+                        if (aborted) return;
+                        cb(null, {
+                            destination,
+                            filename,
+                            path: finalPath,
+                            size,
+                            sha256: hash.digest('hex')
+                        });
+                    });
+
+                    file.stream.pipe(outStream);
+                });
+            });
+        },
+
+        _removeFile(req, file, cb) {
+            fs.unlink(file.path, (err) => {
+                // Already gone is as good as removed
+                cb(err && err.code !== 'ENOENT' ? err : null);
+            });
+        }
+    };
+}
+
+module.exports = {
+    createHashingStorage
+};
@@ -0,0 +1,91 @@
+/**
+ * Liveness and readiness checks for orchestrators
+ * Ready means uploads can succeed: the upload directory is writable, enough disk is free and
+ * config.json on disk is valid. A server shutting down reports itself as draining
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config.json');
+const configLoader = require('./configLoader.js');
+
+// Constants for better maintainability
+const DEFAULT_MIN_FREE_BYTES = 1024 * 1024 * 1024; // 1GB
+
+let draining = false;
+
+/**
+ * Marks the server as shutting down, so readiness checks fail from now on
+ */
+function setDraining() {
+    draining = true;
+}
+
+/**
+ * Checks that new files can be written to the upload directory
+ * @returns {Promise<{ok: boolean}>}
+ */
+async function checkUploadDirectory() {
+    try {
+        await fs.promises.access(path.resolve(config.uploadDirectory), fs.constants.W_OK);
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.code || 'UNWRITABLE' };
+    }
+}
+
+/**
+ * Checks the free space on the upload directory's disk against health.minFreeBytes
+ * @returns {Promise<{ok: boolean, freeBytes: number, minFreeBytes: number}>}
+ */
+async function checkDiskSpace() {
+    const minFreeBytes = config.health?.minFreeBytes ?? DEFAULT_MIN_FREE_BYTES;
+    try {
+        const stats = await fs.promises.statfs(path.resolve(config.uploadDirectory));
+        // bavail leaves out blocks reserved for root, which the server can't use
+        const freeBytes = stats.bavail * stats.bsize;
+        return { ok: freeBytes >= minFreeBytes, freeBytes, minFreeBytes };
+    } catch (error) {
+        return { ok: false, error: error.code || 'STATFS_FAILED', minFreeBytes };
+    }
+}
+
+/**
+ * Checks that config.json on disk is valid, so the next reload or restart will work
+ * Only the number of problems is reported; the messages are logged when a reload is rejected
+ * @returns {Promise<{ok: boolean, errors: number}>}
+ */
+async function checkConfig() {
+    try {
+        const errors = configLoader.validateConfig(await configLoader.readConfigFile());
+        return { ok: errors.length === 0, errors: errors.length };
+    } catch (error) {
+        return { ok: false, errors: 1 };
+    }
+}
+
+/**
+ * Runs every readiness check
+ * Checks are skipped while draining, since the server won't take new work either way
+ * @returns {Promise<{ready: boolean, status: string, checks: Object}>} - status is ready, not_ready or draining
+ */
+async function getReadiness() {
+    if (draining) {
+        return { ready: false, status: 'draining', checks: {} };
+    }
+
+    const [uploadDirectory, diskSpace, configFile] = await Promise.all([
+        checkUploadDirectory(),
+        checkDiskSpace(),
+        checkConfig()
+    ]);
+    const checks = { uploadDirectory, diskSpace, config: configFile };
+    const ready = Object.values(checks).every(check => check.ok);
+
+    return { ready, status: ready ? 'ready' : 'not_ready', checks };
+}
+
+module.exports = {
+    setDraining,
+    getReadiness
+};
@@ -0,0 +1,80 @@
+/**
+ * HTTP caching validators for served files
+ * Uploads never change once stored, so the content hash makes a strong ETag
+ */
+
+// Constants for better maintainability
+const MAX_CACHE_AGE = 31536000; // 1 year in seconds
+
+/**
+ * Builds the validators of a stored file
+ * @param {Object|null} record - Upload record, if the file is known to the store
+ * @param {fs.Stats} stats - Stats of the file on disk
+ * @returns {{etag: string, lastModified: string}} - ETag and Last-Modified header values
+ */
+function getValidators(record, stats) {
+    // Files outside the store fall back to size and modification time
+    const tag = record?.sha256 || `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`;
+
+    return {
+        etag: `"${tag}"`,
+        lastModified: stats.mtime.toUTCString()
+    };
+}
+
+/**
+ * Sets the ETag and Last-Modified headers
+ * @param {Object} res - Express response object
+ * @param {{etag: string, lastModified: string}} validators - Validators from getValidators
+ */
+function setValidators(res, validators) {
+    res.setHeader('ETag', validators.etag);
+    res.setHeader('Last-Modified', validators.lastModified);
+}
+
+/**
+ * Checks whether a Range request may be honoured under its If-Range precondition
+ * An ETag must match strongly and a date must equal Last-Modified exactly; otherwise the full file is sent
+ * @param {Object} req - Express request object
+ * @param {{etag: string, lastModified: string}} validators - Validators of the file
+ * @returns {boolean} - True if the Range header should be used
+ */
+function isRangeFresh(req, validators) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) {
+        return true;
+    }
+
+    // Weak ETags never satisfy If-Range
+    if (ifRange.startsWith('"')) {
+        return ifRange === validators.etag;
+    }
+    if (ifRange.startsWith('W/')) {
+        return false;
+    }
+
+    const since = Date.parse(ifRange);
+    return !Number.isNaN(since) && since === Date.parse(validators.lastModified);
+}
+
+/**
+ * Builds the Cache-Control header of stored content, never letting caches outlive an expiring record
+ * @param {Object|null} record - Upload or paste record
+ * @returns {string} - Cache-Control header value
+ */
+function getCacheControl(record) {
+    if (!record?.expiresAt) {
+        return `public, max-age=${MAX_CACHE_AGE}`;
+    }
+
+    const secondsLeft = Math.floor((Date.parse(record.expiresAt) - Date.now()) / 1000);
+    return `public, max-age=${Math.max(0, Math.min(secondsLeft, MAX_CACHE_AGE))}`;
+}
+
+module.exports = {
+    MAX_CACHE_AGE,
+    getValidators,
+    getCacheControl,
+    setValidators,
+    isRangeFresh
+};
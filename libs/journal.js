@@ -0,0 +1,195 @@
+/**
+ * Append-only JSON-lines journal
+ * Keeps a keyed collection in memory and persists every change as one line on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('silly-logger');
+const config = require('../config.json');
+
+// Compact the journal once it holds this many superseded entries
+const DEFAULT_COMPACT_THRESHOLD = 1000;
+const DEFAULT_DATA_DIRECTORY = 'data/';
+
+/**
+ * Resolves a path inside the configured data directory
+ * @param {...string} segments - Path segments below the data directory
+ * @returns {string} - Resolved path
+ */
+function getDataPath(...segments) {
+    return path.join(config.dataDirectory || DEFAULT_DATA_DIRECTORY, ...segments);
+}
+
+/**
+ * Creates a journal-backed collection
+ * @param {string} filePath - Path of the journal file
+ * @param {Object} options - Journal options
+ * @param {number} options.compactThreshold - Superseded entries allowed before compacting
+ * @returns {Object} - Collection API (load, get, has, put, remove, values, size, compact)
+ */
+function createJournal(filePath, options = {}) {
+    const compactThreshold = options.compactThreshold || DEFAULT_COMPACT_THRESHOLD;
+    const records = new Map();
+    let staleEntries = 0;
+    let writeQueue = Promise.resolve();
+    let loaded = false;
+
+    /**
+     * Applies a single journal entry to the in-memory collection
+     * @param {Object} entry - Parsed journal entry
+     */
+    function apply(entry) {
+        if (records.has(entry.key)) {
+            staleEntries++;
+        }
+
+        if (entry.op === 'put') {
+            records.set(entry.key, entry.value);
+        } else if (entry.op === 'del') {
+            records.delete(entry.key);
+            staleEntries++;
+        }
+    }
+
+    /**
+     * Queues a write so entries land on disk in the order they were made
+     * @param {Function} task - Async function performing the write
+     * @returns {Promise} - Resolves once the write is done
+     */
+    function enqueue(task) {
+        writeQueue = writeQueue.then(task).catch((error) => {
+            logger.error(`Journal write failed for ${filePath}: ${error.message}`);
+        });
+        return writeQueue;
+    }
+
+    /**
+     * Appends an entry to the journal file
+     * @param {Object} entry - Entry to persist
+     * @returns {Promise} - Resolves once the entry is written
+     */
+    function append(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        const promise = enqueue(() => fs.promises.appendFile(filePath, line, 'utf8'));
+
+        if (staleEntries >= compactThreshold) {
+            compact();
+        }
+
+        return promise;
+    }
+
+    /**
+     * Reads the journal from disk, replaying every entry
+     * Corrupt lines (e.g. a torn final write) are skipped
+     */
+    function load() {
+        records.clear();
+        staleEntries = 0;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        if (fs.existsSync(filePath)) {
+            const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+            lines.forEach((line, index) => {
+                if (!line.trim()) return;
+
+                try {
+                    apply(JSON.parse(line));
+                } catch (error) {
+                    logger.warn(`Skipping corrupt journal entry ${filePath}:${index + 1}`);
+                }
+            });
+        }
+
+        loaded = true;
+        logger.debug(`Loaded ${records.size} records from ${filePath}`);
+
+        if (staleEntries >= compactThreshold) {
+            compact();
+        }
+    }
+
+    /**
+     * Rewrites the journal with only the live records (write temp + rename)
+     * @returns {Promise} - Resolves once the compacted journal is in place
+     */
+    function compact() {
+        staleEntries = 0;
+
+        return enqueue(async () => {
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            const lines = Array.from(records.entries())
+                .map(([key, value]) => JSON.stringify({ op: 'put', key, value }) + '\n')
+                .join('');
+
+            await fs.promises.writeFile(tempPath, lines, 'utf8');
+            await fs.promises.rename(tempPath, filePath);
+            logger.debug(`Compacted journal ${filePath} (${records.size} records)`);
+        });
+    }
+
+    /**
+     * Ensures the journal has been read before it is used
+     */
+    function ensureLoaded() {
+        if (!loaded) {
+            load();
+        }
+    }
+
+    return {
+        load,
+        compact,
+
+        get(key) {
+            ensureLoaded();
+            return records.get(key) || null;
+        },
+
+        has(key) {
+            ensureLoaded();
+            return records.has(key);
+        },
+
+        put(key, value) {
+            ensureLoaded();
+            apply({ op: 'put', key, value });
+            return append({ op: 'put', key, value });
+        },
+
+        remove(key) {
+            ensureLoaded();
+            if (!records.has(key)) {
+                return Promise.resolve();
+            }
+            apply({ op: 'del', key });
+            return append({ op: 'del', key });
+        },
+
+        values() {
+            ensureLoaded();
+            return Array.from(records.values());
+        },
+
+        size() {
+            ensureLoaded();
+            return records.size;
+        },
+
+        /**
+         * Waits for all queued writes to reach disk
+         * @returns {Promise}
+         */
+        flush() {
+            return writeQueue;
+        }
+    };
+}
+
+module.exports = {
+    createJournal,
+    getDataPath
+};
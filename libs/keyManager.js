@@ -0,0 +1,170 @@
+/**
+ * Adding, rotating, revoking and listing API keys in config.json
+ * Shared by the keys.js CLI and the server; the running server applies changes on its next config reload
+ */
+
+const configLoader = require('./configLoader.js');
+const apiKeys = require('./apiKeys.js');
+
+/**
+ * Creates an error carrying a code callers map to a message or response
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error}
+ */
+function codedError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Checks whether a user has a key in a parsed configuration
+ * @param {Object} config - Parsed configuration
+ * @param {string} username - User
+ * @returns {boolean}
+ */
+function hasUser(config, username) {
+    return Boolean(config.keys) && Object.prototype.hasOwnProperty.call(config.keys, username);
+}
+
+/**
+ * Checks a scope list before it is written
+ * @param {Array<string>} scopes - Scope names
+ * @throws {Error} - With code UNKNOWN_SCOPE
+ */
+function checkScopes(scopes) {
+    const unknown = apiKeys.findUnknownScopes(scopes);
+    if (!unknown || unknown.length > 0 || scopes.length === 0) {
+        throw codedError(`Scopes must be one or more of: ${apiKeys.SCOPES.join(', ')}`, 'UNKNOWN_SCOPE');
+    }
+}
+
+/**
+ * Adds a user with a new key
+ * @param {string} username - New user
+ * @param {string} key - Key to use; a random one is generated if omitted
+ * @param {Array<string>} scopes - What the key may do; omitted, it gets the default scopes
+ * @returns {Promise<string>} - The key, which cannot be read back later
+ * @throws {Error} - With code USER_EXISTS, KEY_IN_USE or UNKNOWN_SCOPE
+ */
+function addKey(username, key = apiKeys.generateKey(), scopes = undefined) {
+    if (scopes) {
+        checkScopes(scopes);
+    }
+
+    return configLoader.updateConfigFile((config) => {
+        config.keys = config.keys || {};
+        if (hasUser(config, username)) {
+            throw codedError(`User "${username}" already has a key; use rotate to replace it`, 'USER_EXISTS');
+        }
+
+        const inUse = Object.values(config.keys).some((entry) => {
+            const hashed = apiKeys.toHashedEntry(entry);
+            return hashed && apiKeys.verifyKey(key, hashed);
+        });
+        if (inUse) {
+            throw codedError('That key is already in use', 'KEY_IN_USE');
+        }
+
+        config.keys[username] = apiKeys.createKeyEntry(key, undefined, scopes);
+        return key;
+    });
+}
+
+/**
+ * Replaces a user's key; the old key stops working and the new one keeps its scopes
+ * @param {string} username - User
+ * @returns {Promise<string>} - The new key
+ * @throws {Error} - With code USER_NOT_FOUND
+ */
+function rotateKey(username) {
+    return configLoader.updateConfigFile((config) => {
+        if (!hasUser(config, username)) {
+            throw codedError(`No key for user "${username}"`, 'USER_NOT_FOUND');
+        }
+
+        const key = apiKeys.generateKey();
+        config.keys[username] = apiKeys.createKeyEntry(key, undefined, config.keys[username]?.scopes);
+        return key;
+    });
+}
+
+/**
+ * Changes what a user's key may do; the key itself stays the same
+ * @param {string} username - User
+ * @param {Array<string>} scopes - New scopes
+ * @returns {Promise<void>}
+ * @throws {Error} - With code USER_NOT_FOUND or UNKNOWN_SCOPE
+ */
+function setScopes(username, scopes) {
+    checkScopes(scopes);
+
+    return configLoader.updateConfigFile((config) => {
+        if (!hasUser(config, username)) {
+            throw codedError(`No key for user "${username}"`, 'USER_NOT_FOUND');
+        }
+
+        // Plaintext entries are hashed here, as they would be on the next start anyway
+        config.keys[username] = { ...apiKeys.toHashedEntry(config.keys[username]), scopes: [...scopes] };
+    });
+}
+
+/**
+ * Removes a user's key
+ * @param {string} username - User
+ * @returns {Promise<void>}
+ * @throws {Error} - With code USER_NOT_FOUND, or a validation error when it is the last key
+ */
+function revokeKey(username) {
+    return configLoader.updateConfigFile((config) => {
+        if (!hasUser(config, username)) {
+            throw codedError(`No key for user "${username}"`, 'USER_NOT_FOUND');
+        }
+        delete config.keys[username];
+    });
+}
+
+/**
+ * Checks a key against a user's stored key
+ * @param {string} username - User
+ * @param {string} key - Key to check
+ * @returns {Promise<boolean>} - True if it is the user's current key
+ */
+async function verifyUserKey(username, key) {
+    const config = await configLoader.readConfigFile();
+    const entry = hasUser(config, username) ? apiKeys.toHashedEntry(config.keys[username]) : null;
+    return Boolean(entry) && apiKeys.verifyKey(key, entry);
+}
+
+/**
+ * Lists users with their key prefix, scopes, creation and last-use times
+ * @returns {Promise<Array<Object>>} - One row per user
+ */
+async function listKeys() {
+    const config = await configLoader.readConfigFile();
+
+    return Object.entries(config.keys || {}).map(([username, entry]) => {
+        const hashed = apiKeys.isHashedEntry(entry) ? entry : null;
+        const plaintext = apiKeys.getPlaintextKey(entry);
+        const prefix = hashed ? hashed.prefix : plaintext ? apiKeys.getKeyPrefix(plaintext) : null;
+
+        return {
+            username,
+            prefix,
+            hashed: Boolean(hashed),
+            scopes: apiKeys.getKeyScopes(entry),
+            createdAt: apiKeys.getKeyCreatedAt(entry),
+            lastUsedAt: prefix ? apiKeys.getLastUsed(username, prefix) : null
+        };
+    });
+}
+
+module.exports = {
+    addKey,
+    rotateKey,
+    setScopes,
+    revokeKey,
+    verifyUserKey,
+    listKeys
+};
@@ -0,0 +1,91 @@
+/**
+ * Short link store
+ * Maps short codes to target URLs with their owner and hit counts
+ */
+
+const { createJournal, getDataPath } = require('./journal.js');
+const utils = require('./utils.js');
+
+const SHORT_CODE_LENGTH = 6;
+const SHORT_CODE_PATTERN = /^[A-Za-z0-9]+$/;
+
+const journal = createJournal(getDataPath('links.jsonl'));
+
+/**
+ * Creates a short link
+ * @param {Object} link - Link details
+ * @param {string} link.url - Target URL
+ * @param {string} link.owner - Username of the creator
+ * @returns {Promise<Object>} - The stored record
+ */
+async function createLink(link) {
+    let code;
+    do {
+        code = utils.generateSecureRandomString(SHORT_CODE_LENGTH);
+    } while (journal.has(code));
+
+    const record = {
+        code,
+        url: link.url,
+        owner: link.owner || null,
+        hits: 0,
+        createdAt: new Date().toISOString(),
+        lastHitAt: null
+    };
+
+    await journal.put(code, record);
+    return record;
+}
+
+/**
+ * Gets a short link by code
+ * @param {string} code - Short code
+ * @returns {Object|null} - Link record or null if unknown
+ */
+function getLink(code) {
+    if (typeof code !== 'string' || !SHORT_CODE_PATTERN.test(code)) {
+        return null;
+    }
+    return journal.get(code);
+}
+
+/**
+ * Counts a visit to a short link
+ * @param {Object} record - Link record
+ * @returns {Promise<Object>} - Updated record
+ */
+async function recordHit(record) {
+    const updated = {
+        ...record,
+        hits: (record.hits || 0) + 1,
+        lastHitAt: new Date().toISOString()
+    };
+
+    await journal.put(record.code, updated);
+    return updated;
+}
+
+/**
+ * Lists link records, oldest first
+ * @param {Object} filter - Optional filter
+ * @param {string} filter.owner - Only return links created by this user
+ * @returns {Array<Object>} - Link records
+ */
+function listLinks(filter = {}) {
+    let records = journal.values();
+
+    if (filter.owner !== undefined) {
+        records = records.filter(record => record.owner === filter.owner);
+    }
+
+    return records;
+}
+
+module.exports = {
+    load: journal.load,
+    flush: journal.flush,
+    createLink,
+    getLink,
+    recordHit,
+    listLinks
+};
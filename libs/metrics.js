@@ -0,0 +1,286 @@
+/**
+ * Prometheus metrics: upload, delete and download counters, upload size and duration histograms,
+ * bytes served, rate-limit rejections and gauges read at scrape time
+ * Rendered in the Prometheus text exposition format (version 0.0.4) by GET /metrics
+ */
+
+const crypto = require('crypto');
+const config = require('../config.json');
+
+// Constants for better maintainability
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const SIZE_BUCKETS = Object.freeze([
+    1024, 16 * 1024, 256 * 1024, 1024 * 1024, 4 * 1024 * 1024, 16 * 1024 * 1024,
+    64 * 1024 * 1024, 256 * 1024 * 1024, 1024 * 1024 * 1024, 5 * 1024 * 1024 * 1024
+]); // 1KB to 5GB
+const DURATION_BUCKETS = Object.freeze([0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 3600]); // Seconds
+
+// Metrics in the order they are rendered
+const registry = new Map();
+
+/**
+ * Escapes a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set
+ * @param {Array<string>} names - Label names
+ * @param {Array<string>} values - Label values in the same order
+ * @returns {string} - Such as {outcome="success",user="alice"}, or '' without labels
+ */
+function formatLabels(names, values) {
+    if (names.length === 0) {
+        return '';
+    }
+    return `{${names.map((name, index) => `${name}="${escapeLabel(values[index])}"`).join(',')}}`;
+}
+
+/**
+ * Gets the label values of an observation in label name order
+ * @param {Array<string>} names - Label names
+ * @param {Object} labels - Label values by name
+ * @returns {Array<string>} - Label values; missing labels are empty
+ */
+function getLabelValues(names, labels) {
+    return names.map(name => labels[name] === undefined || labels[name] === null ? '' : String(labels[name]));
+}
+
+/**
+ * Formats a sample value; Prometheus spells infinity +Inf
+ * @param {number} value - Sample value
+ * @returns {string}
+ */
+function formatValue(value) {
+    return value === Infinity ? '+Inf' : String(value);
+}
+
+/**
+ * Creates a counter
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {{inc: Function}} - inc(labels, amount = 1)
+ */
+function createCounter(name, help, labelNames = []) {
+    const series = new Map();
+
+    registry.set(name, {
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { values, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labelNames, values)} ${formatValue(value)}`);
+            }
+            return lines;
+        }
+    });
+
+    return {
+        inc(labels = {}, amount = 1) {
+            const values = getLabelValues(labelNames, labels);
+            const key = JSON.stringify(values);
+            const entry = series.get(key) || { values, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        }
+    };
+}
+
+/**
+ * Creates a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds, ascending; +Inf is added
+ * @returns {{observe: Function}} - observe(labels, value)
+ */
+function createHistogram(name, help, labelNames, buckets) {
+    const bounds = [...buckets, Infinity];
+    const series = new Map();
+
+    registry.set(name, {
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { values, counts, sum, count } of series.values()) {
+                bounds.forEach((bound, index) => {
+                    const labels = formatLabels([...labelNames, 'le'], [...values, formatValue(bound)]);
+                    lines.push(`${name}_bucket${labels} ${counts[index]}`);
+                });
+                lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+            }
+            return lines;
+        }
+    });
+
+    return {
+        observe(labels, value) {
+            const values = getLabelValues(labelNames, labels);
+            const key = JSON.stringify(values);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { values, counts: bounds.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+
+            // Buckets are cumulative: an observation counts in every bucket it fits
+            bounds.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+    };
+}
+
+/**
+ * Registers a gauge whose value is read at scrape time
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Function} collect - Returns the current value
+ */
+function registerGauge(name, help, collect) {
+    registry.set(name, {
+        render() {
+            return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${formatValue(collect())}`];
+        }
+    });
+}
+
+const uploads = createCounter('sharex_uploads_total', 'Uploads by outcome and user', ['outcome', 'user']);
+const deletes = createCounter('sharex_deletes_total', 'Deletions by outcome and user', ['outcome', 'user']);
+const downloads = createCounter('sharex_downloads_total', 'Downloads from /f/ by outcome and file owner', ['outcome', 'user']);
+const uploadSize = createHistogram('sharex_upload_size_bytes', 'Size of stored uploads', ['handler'], SIZE_BUCKETS);
+const uploadDuration = createHistogram('sharex_upload_duration_seconds', 'Time from request start to stored upload', ['handler'], DURATION_BUCKETS);
+const servedBytes = createCounter('sharex_served_bytes_total', 'File bytes sent by /f/');
+const rateLimited = createCounter('sharex_rate_limited_total', 'Requests rejected by the rate limiter', ['route']);
+
+/**
+ * Gets the outcome of a finished response
+ * @param {number} statusCode - HTTP status code
+ * @returns {string} - 'success' below 400, otherwise 'failure'
+ */
+function getOutcome(statusCode) {
+    return statusCode < 400 ? 'success' : 'failure';
+}
+
+/**
+ * Records a finished upload
+ * @param {Object} upload - Upload details
+ * @param {string} upload.outcome - 'success' or 'failure'
+ * @param {string} upload.user - Uploader, if known
+ * @param {string} upload.handler - multer, stream or tus
+ * @param {number} upload.size - Bytes stored, for successful uploads
+ * @param {number} upload.seconds - Duration, for uploads made in a single request
+ */
+function recordUpload({ outcome, user, handler, size, seconds }) {
+    uploads.inc({ outcome, user });
+    if (outcome !== 'success') {
+        return;
+    }
+
+    if (typeof size === 'number') {
+        uploadSize.observe({ handler }, size);
+    }
+    if (typeof seconds === 'number') {
+        uploadDuration.observe({ handler }, seconds);
+    }
+}
+
+/**
+ * Records a deletion attempt
+ * @param {Object} req - Express request object
+ * @param {string} outcome - 'success' or 'failure'
+ */
+function recordDelete(req, outcome) {
+    deletes.inc({ outcome, user: req.locals?.username });
+}
+
+/**
+ * Records a download once its response is over
+ * @param {number} statusCode - HTTP status code sent
+ * @param {string} owner - Owner of the file, if known
+ */
+function recordDownload(statusCode, owner) {
+    downloads.inc({ outcome: getOutcome(statusCode), user: owner });
+}
+
+/**
+ * Adds file bytes sent to a client
+ * @param {number} bytes - Bytes sent
+ */
+function countServedBytes(bytes) {
+    servedBytes.inc({}, bytes);
+}
+
+/**
+ * Records a request turned away by the rate limiter
+ * @param {Object} req - Express request object
+ */
+function recordRateLimit(req) {
+    rateLimited.inc({ route: req.baseUrl || req.path });
+}
+
+/**
+ * Checks the scrape token of a /metrics request
+ * The token comes as a Bearer header or ?token=; without metrics.token every scrape is allowed
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if the request may read metrics
+ */
+function isScrapeAuthorized(req) {
+    const token = config.metrics?.token;
+    if (!token) {
+        return true;
+    }
+
+    const header = req.headers.authorization || '';
+    const presented = header.startsWith('Bearer ') ? header.substring(7) : req.query.token;
+    if (typeof presented !== 'string') {
+        return false;
+    }
+
+    // Digests have equal lengths, so the comparison doesn't reveal the token's length
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const actual = crypto.createHash('sha256').update(presented).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Checks whether /metrics is served
+ * @returns {boolean} - False only when metrics.enabled is false
+ */
+function isEnabled() {
+    return config.metrics?.enabled !== false;
+}
+
+/**
+ * Renders every metric in the text exposition format
+ * @returns {string}
+ */
+function render() {
+    const lines = [];
+    for (const metric of registry.values()) {
+        lines.push(...metric.render());
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    getOutcome,
+    recordUpload,
+    recordDelete,
+    recordDownload,
+    countServedBytes,
+    recordRateLimit,
+    registerGauge,
+    isScrapeAuthorized,
+    isEnabled,
+    render
+};
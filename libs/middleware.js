@@ -1,22 +1,49 @@
 const response = require('./response.js');
 const logger = require('silly-logger');
 const config = require('../config.json');
+const sessions = require('./sessions.js');
+const configLoader = require('./configLoader.js');
+const apiKeys = require('./apiKeys.js');
+const auditLog = require('./auditLog.js');
+const metrics = require('./metrics.js');
 
-// Create a lookup table for faster key validation
-const keyToUsername = new Map();
+// Hashed keys grouped by their public prefix, so a lookup only verifies a handful of hashes
+let keysByPrefix = new Map();
+let scopesByUser = new Map();
 
-// Initialize the key-to-username mapping
-for (const username in config.keys) {
-    const key = config.keys[username];
-    if (key && typeof key === 'string') {
-        keyToUsername.set(key, username);
-        logger.debug(`Initialized key mapping for user: ${username} (key: ${key.substr(0, 3)}...)`);
-    } else {
-        logger.warn(`Invalid key for user ${username}: ${typeof key}`);
+/**
+ * Builds the prefix lookup table from the configured keys
+ * Plaintext keys not yet migrated are hashed in memory; the table is swapped in whole,
+ * so requests never see a half-built one
+ */
+function loadKeys() {
+    const lookup = new Map();
+    const scopes = new Map();
+    let count = 0;
+    
+    for (const username in config.keys) {
+        const entry = apiKeys.toHashedEntry(config.keys[username]);
+        if (!entry) {
+            logger.warn(`Invalid key for user ${username}: ${typeof config.keys[username]}`);
+            continue;
+        }
+        
+        if (!lookup.has(entry.prefix)) {
+            lookup.set(entry.prefix, []);
+        }
+        lookup.get(entry.prefix).push({ username, entry });
+        scopes.set(username, apiKeys.getKeyScopes(entry));
+        count++;
+        logger.debug(`Initialized key for user: ${username} (prefix: ${entry.prefix})`);
     }
+    
+    keysByPrefix = lookup;
+    scopesByUser = scopes;
+    logger.info(`Initialized ${count} API keys`);
 }
 
-logger.info(`Initialized ${keyToUsername.size} API key mappings`);
+loadKeys();
+configLoader.onReload(loadKeys);
 
 /**
  * Validates API key from various sources
@@ -64,19 +91,96 @@ function validateApiKey(key) {
         return null;
     }
     
-    const username = keyToUsername.get(key);
-    logger.debug(`validateApiKey: Key lookup result: ${username || 'not found'} (map size: ${keyToUsername.size})`);
+    const prefix = apiKeys.getKeyPrefix(key);
+    const candidates = keysByPrefix.get(prefix) || [];
+    const match = candidates.find(candidate => apiKeys.verifyKey(key, candidate.entry));
+    const username = match ? match.username : null;
     
-    // Debug: Show first few characters of all keys for comparison
-    if (!username) {
-        const allKeys = Array.from(keyToUsername.keys()).map(k => k.substr(0, 10) + '...');
-        logger.debug(`validateApiKey: Available keys: ${allKeys.join(', ')}`);
-        logger.debug(`validateApiKey: Looking for key: ${key.substr(0, 10)}...`);
+    // Only the public prefix is ever logged
+    logger.debug(`validateApiKey: Key lookup result for prefix ${prefix}: ${username || 'not found'}`);
+    
+    if (username) {
+        apiKeys.recordKeyUse(username, key);
     }
     
     return username || null;
 }
 
+/**
+ * Authenticates a multipart request from the key field parsed out of its body
+ * Multipart bodies are parsed after keyRequired runs, so uploads finish authentication here
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Username if authenticated, null otherwise
+ */
+function authenticateBodyKey(req) {
+    if (req.locals?.username) {
+        return req.locals.username;
+    }
+    
+    const key = req.body?.key;
+    const username = validateApiKey(key);
+    if (!username) {
+        return null;
+    }
+    
+    req.locals = req.locals || {};
+    req.locals.shortKey = key.substr(0, 3) + '...';
+    req.locals.username = username;
+    req.locals.fullKey = key;
+    
+    return username;
+}
+
+/**
+ * Gets what a user's key may do
+ * users.<username>.admin in config grants the admin scope as well, as it did before keys had scopes
+ * @param {string} username - User
+ * @returns {Array<string>} - Scopes, empty for users without a key
+ */
+function getScopes(username) {
+    const scopes = scopesByUser.get(username);
+    if (!scopes) {
+        return [];
+    }
+    
+    if (config.users?.[username]?.admin === true && !scopes.includes('admin')) {
+        return [...scopes, 'admin'];
+    }
+    return scopes;
+}
+
+/**
+ * Checks whether a user's key has a scope; the admin scope includes every other one
+ * @param {string} username - User
+ * @param {string} scope - Scope to check
+ * @returns {boolean} - True if the key has the scope
+ */
+function hasScope(username, scope) {
+    const scopes = getScopes(username);
+    return scopes.includes(scope) || scopes.includes('admin');
+}
+
+/**
+ * Checks whether a user has the admin role (the admin scope)
+ * @param {string} username - User to check
+ * @returns {boolean} - True if the user is an admin
+ */
+function isAdmin(username) {
+    return Boolean(username) && hasScope(username, 'admin');
+}
+
+/**
+ * Creates the error upload parsers fail with when the key turns out to lack a scope
+ * @param {string} scope - Missing scope
+ * @returns {Error} - Error with code INSUFFICIENT_SCOPE
+ */
+function insufficientScopeError(scope) {
+    const error = new Error(`API key lacks the ${scope} scope`);
+    error.code = 'INSUFFICIENT_SCOPE';
+    error.scope = scope;
+    return error;
+}
+
 /**
  * Middleware to require valid API key authentication
  */
@@ -100,12 +204,14 @@ module.exports.keyRequired = function (req, res, next) {
         // If no key was found through any method
         if (!key) {
             logger.info('No API key provided in request');
+            auditLog.recordAuthFailure(req, 'EMPTY_KEY');
             return response.emptyKey(res);
         }
 
         // Validate key length (basic security check)
         if (key.length < 10) {
             logger.info(`API key too short: ${key.substr(0, 3)}...`);
+            auditLog.recordAuthFailure(req, 'INVALID_KEY', { key });
             return response.invalidKey(res);
         }
 
@@ -115,6 +221,7 @@ module.exports.keyRequired = function (req, res, next) {
         
         if (!username) {
             logger.info(`Failed authentication with key ${key.substr(0, 3)}...`);
+            auditLog.recordAuthFailure(req, 'INVALID_KEY', { key });
             return response.invalidKey(res);
         }
 
@@ -133,6 +240,37 @@ module.exports.keyRequired = function (req, res, next) {
     }
 };
 
+/**
+ * Middleware requiring a valid API key with at least one of the given scopes
+ * Multipart requests carrying their key in the body pass through like with keyRequired;
+ * their handlers check the scope once authenticateBodyKey has run
+ * @param {...string} scopes - Accepted scopes
+ * @returns {Function} - Express middleware
+ */
+module.exports.requireScope = function (...scopes) {
+    return function (req, res, next) {
+        module.exports.keyRequired(req, res, (error) => {
+            if (error) {
+                return next(error);
+            }
+            
+            const username = req.locals.username;
+            if (!username) {
+                return next();
+            }
+            
+            if (!scopes.some(scope => hasScope(username, scope))) {
+                logger.info(`Key ${req.locals.shortKey} (${username}) lacks the ${scopes.join(' or ')} scope for ${req.method} ${req.path}`);
+                auditLog.recordAuthFailure(req, 'INSUFFICIENT_SCOPE');
+                return response.insufficientScope(res, scopes);
+            }
+            
+            req.locals.scopes = getScopes(username);
+            next();
+        });
+    };
+};
+
 /**
  * Optional middleware for routes that can work with or without authentication
  */
@@ -166,6 +304,38 @@ module.exports.keyOptional = function (req, res, next) {
     }
 };
 
+/**
+ * Optional middleware authenticating browser requests from their session cookie
+ * Runs after keyOptional; a key sent with the request takes precedence over the session
+ */
+module.exports.sessionOptional = function (req, res, next) {
+    req.locals = req.locals || {};
+    
+    if (req.locals.username) {
+        return next();
+    }
+    
+    const sessionId = sessions.getSessionId(req);
+    const session = sessions.getSession(sessionId);
+    if (!session) {
+        return next();
+    }
+    
+    // Sessions end as soon as the key they were opened with stops being valid
+    if (validateApiKey(session.key) !== session.username) {
+        logger.info(`Ending session of ${session.username}, its key is no longer valid`);
+        sessions.destroySession(session.id);
+        return next();
+    }
+    
+    req.locals.shortKey = session.key.substr(0, 3) + '...';
+    req.locals.username = session.username;
+    req.locals.fullKey = session.key;
+    req.locals.sessionId = session.id;
+    
+    next();
+};
+
 /**
  * Rate limiting middleware (basic implementation)
  * @param {number} maxRequests - Maximum requests per window
@@ -198,6 +368,13 @@ module.exports.rateLimit = function(maxRequests = 100, windowMs = 15 * 60 * 1000
         // Check rate limit
         if (clientData.count >= maxRequests) {
             logger.warn(`Rate limit exceeded for ${clientId}`);
+            metrics.recordRateLimit(req);
+            
+            // Only the first rejection per client and window is audited, so floods don't fill the log
+            if (!clientData.audited) {
+                clientData.audited = true;
+                auditLog.record(req, 'rate_limit', { outcome: 'failure', reason: 'RATE_LIMITED', key: extractApiKey(req) });
+            }
             return res.status(429).json({
                 success: false,
                 error: {
@@ -235,9 +412,11 @@ module.exports.securityHeaders = function(req, res, next) {
     next();
 };
 
-// Export the key-to-username mapping for backward compatibility
-module.exports.keyToUsername = Object.fromEntries(keyToUsername);
-
 // Export utility functions
 module.exports.extractApiKey = extractApiKey;
-module.exports.validateApiKey = validateApiKey;
\ No newline at end of file
+module.exports.validateApiKey = validateApiKey;
+module.exports.authenticateBodyKey = authenticateBodyKey;
+module.exports.getScopes = getScopes;
+module.exports.hasScope = hasScope;
+module.exports.isAdmin = isAdmin;
+module.exports.insufficientScopeError = insufficientScopeError;
\ No newline at end of file
@@ -0,0 +1,218 @@
+/**
+ * Paste store
+ * Text pastes are kept as files in the data directory with their metadata in a journal,
+ * next to their highlighted HTML so views never run the highlighter
+ * Deletion tokens and expiry work as they do for uploads
+ */
+
+const fs = require('fs');
+const logger = require('silly-logger');
+const { createJournal, getDataPath } = require('./journal.js');
+const utils = require('./utils.js');
+const fileStore = require('./fileStore.js');
+const config = require('../config.json');
+
+const DEFAULT_PASTE_ID_LENGTH = 8;
+const PASTE_ID_PATTERN = /^[A-Za-z0-9]+$/;
+
+const journal = createJournal(getDataPath('pastes.jsonl'));
+
+/**
+ * Returns the path of a paste's content file
+ * @param {string} id - Paste ID
+ * @returns {string} - Path of the content file
+ */
+function getContentPath(id) {
+    return getDataPath('pastes', `${id}.txt`);
+}
+
+/**
+ * Returns the path of a paste's highlighted HTML
+ * @param {string} id - Paste ID
+ * @returns {string} - Path of the HTML file
+ */
+function getHighlightPath(id) {
+    return getDataPath('pastes', `${id}.html`);
+}
+
+/**
+ * Checks a paste ID has the expected shape before it touches the filesystem
+ * @param {string} id - Paste ID
+ * @returns {boolean} - True if the ID is well-formed
+ */
+function isValidPasteId(id) {
+    return typeof id === 'string' && PASTE_ID_PATTERN.test(id);
+}
+
+/**
+ * Stores a new paste
+ * @param {Object} paste - Paste details
+ * @param {string} paste.owner - Username of the uploader
+ * @param {string} paste.content - Paste text
+ * @param {string|null} paste.language - Language the paste is highlighted as
+ * @param {string} paste.html - Highlighted HTML
+ * @param {string} paste.deleteToken - Single-purpose deletion token (stored hashed)
+ * @param {string|null} paste.expiresAt - ISO expiry time, null to keep forever
+ * @returns {Promise<Object>} - The stored record
+ */
+async function createPaste(paste) {
+    let id;
+    do {
+        id = utils.generateSecureRandomString(config.fileNameLength || DEFAULT_PASTE_ID_LENGTH);
+    } while (journal.has(id));
+
+    await utils.ensureDirectory(getDataPath('pastes'));
+    await fs.promises.writeFile(getContentPath(id), paste.content, 'utf8');
+    if (typeof paste.html === 'string') {
+        await fs.promises.writeFile(getHighlightPath(id), paste.html, 'utf8');
+    }
+
+    const record = {
+        id,
+        owner: paste.owner || null,
+        language: paste.language || null,
+        size: Buffer.byteLength(paste.content, 'utf8'),
+        lines: paste.content.replace(/\n$/, '').split('\n').length,
+        deleteTokenHash: paste.deleteToken ? fileStore.hashDeleteToken(paste.deleteToken) : null,
+        expiresAt: paste.expiresAt || null,
+        createdAt: new Date().toISOString()
+    };
+
+    await journal.put(id, record);
+    return record;
+}
+
+/**
+ * Gets a paste's metadata
+ * @param {string} id - Paste ID
+ * @returns {Object|null} - Paste record or null if unknown
+ */
+function getPaste(id) {
+    if (!isValidPasteId(id)) {
+        return null;
+    }
+    return journal.get(id);
+}
+
+/**
+ * Reads a paste's text
+ * @param {Object} record - Paste record
+ * @returns {Promise<string>} - Paste text
+ */
+function readPasteContent(record) {
+    return fs.promises.readFile(getContentPath(record.id), 'utf8');
+}
+
+/**
+ * Reads a paste's highlighted HTML
+ * @param {Object} record - Paste record
+ * @returns {Promise<string|null>} - HTML, or null for pastes created before highlighting was stored
+ */
+async function readPasteHighlight(record) {
+    try {
+        return await fs.promises.readFile(getHighlightPath(record.id), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Stores the highlighted HTML of an older paste, and the language it was detected as
+ * Written to a temporary file first so a half-written file is never served
+ * @param {Object} record - Paste record
+ * @param {Object} highlight - Highlighting result
+ * @param {string} highlight.html - Highlighted HTML
+ * @param {string|null} highlight.language - Language used
+ * @returns {Promise<Object>} - The updated record
+ */
+async function savePasteHighlight(record, { html, language }) {
+    const highlightPath = getHighlightPath(record.id);
+    const tempPath = `${highlightPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, html, 'utf8');
+    await fs.promises.rename(tempPath, highlightPath);
+
+    if ((record.language || null) === (language || null)) {
+        return record;
+    }
+    const updated = { ...record, language: language || null };
+    await journal.put(record.id, updated);
+    return updated;
+}
+
+/**
+ * Finds the paste a deletion token was issued for
+ * @param {string} token - Deletion token from a delete URL
+ * @returns {Object|null} - Paste record or null if the token is unknown
+ */
+function findByDeleteToken(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const tokenHash = fileStore.hashDeleteToken(token);
+    return journal.values().find(record => record.deleteTokenHash === tokenHash) || null;
+}
+
+/**
+ * Deletes a paste's record, text and highlighted HTML
+ * @param {Object} record - Paste record
+ * @param {string} shortKey - Who deleted it, for the log
+ */
+async function deletePaste(record, shortKey) {
+    await journal.remove(record.id);
+    await utils.safeDeleteFile(getContentPath(record.id));
+    await utils.safeDeleteFile(getHighlightPath(record.id));
+    logger.info(`Deleted paste ${record.id} (${shortKey})`);
+}
+
+/**
+ * Deletes every paste that is past its expiry
+ * @returns {Promise<number>} - Number of pastes removed
+ */
+async function reapExpired() {
+    const now = Date.now();
+    const expired = journal.values().filter(record => fileStore.isExpired(record, now));
+
+    for (const record of expired) {
+        try {
+            await deletePaste(record, 'expiry reaper');
+        } catch (error) {
+            logger.error(`Failed to reap expired paste ${record.id}: ${error.message}`);
+        }
+    }
+
+    return expired.length;
+}
+
+/**
+ * Lists paste records, oldest first
+ * @param {Object} filter - Optional filter
+ * @param {string} filter.owner - Only return pastes by this user
+ * @returns {Array<Object>} - Paste records
+ */
+function listPastes(filter = {}) {
+    let records = journal.values();
+
+    if (filter.owner !== undefined) {
+        records = records.filter(record => record.owner === filter.owner);
+    }
+
+    return records;
+}
+
+module.exports = {
+    load: journal.load,
+    flush: journal.flush,
+    createPaste,
+    getPaste,
+    readPasteContent,
+    readPasteHighlight,
+    savePasteHighlight,
+    findByDeleteToken,
+    deletePaste,
+    reapExpired,
+    listPastes
+};
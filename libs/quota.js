@@ -0,0 +1,93 @@
+/**
+ * Per-user storage quotas and usage accounting
+ * Limits come from config.json (global "quota" with per-user overrides in "users")
+ */
+
+const config = require('../config.json');
+const fileStore = require('./fileStore.js');
+
+/**
+ * Gets the quota for a user, falling back to the global quota
+ * @param {string} username - Username
+ * @returns {{maxBytes: number|null, maxFiles: number|null}} - Limits, null meaning unlimited
+ */
+function getQuota(username) {
+    const globalQuota = config.quota || {};
+    const userQuota = config.users?.[username]?.quota || {};
+
+    return {
+        maxBytes: userQuota.maxBytes ?? globalQuota.maxBytes ?? null,
+        maxFiles: userQuota.maxFiles ?? globalQuota.maxFiles ?? null
+    };
+}
+
+/**
+ * Sums the storage used by a user's uploads
+ * Deduplicated uploads count against every owner that references them
+ * @param {string} username - Username
+ * @returns {{bytes: number, files: number}} - Current usage
+ */
+function getUsage(username) {
+    const now = Date.now();
+    const uploads = fileStore.listUploads({ owner: username })
+        .filter(record => !fileStore.isExpired(record, now));
+
+    return {
+        bytes: uploads.reduce((total, record) => total + (record.size || 0), 0),
+        files: uploads.length
+    };
+}
+
+/**
+ * Checks whether a user can store another upload of the given size
+ * @param {string} username - Username
+ * @param {number} incomingBytes - Size of the new upload (0 if not yet known)
+ * @returns {{allowed: boolean, usage: Object, quota: Object, remainingBytes: number|null}}
+ */
+function checkQuota(username, incomingBytes = 0) {
+    const quota = getQuota(username);
+    const usage = getUsage(username);
+    const remainingBytes = quota.maxBytes === null ? null : Math.max(0, quota.maxBytes - usage.bytes);
+
+    const fitsBytes = remainingBytes === null || incomingBytes <= remainingBytes;
+    const fitsFiles = quota.maxFiles === null || usage.files + 1 <= quota.maxFiles;
+
+    return {
+        allowed: fitsBytes && fitsFiles,
+        usage,
+        quota,
+        remainingBytes
+    };
+}
+
+/**
+ * Checks an incoming upload against the uploader's quota before its bytes hit disk
+ * Content-Length (when sent) is used as the size estimate
+ * @param {Object} req - Express request object
+ * @param {string} username - Authenticated uploader
+ * @returns {{allowed: boolean, remainingBytes: number|null}} - Byte budget for the stream
+ */
+function checkIncomingUpload(req, username) {
+    const contentLength = parseInt(req.headers['content-length'] || '0', 10) || 0;
+    const { allowed, remainingBytes } = checkQuota(username, contentLength);
+
+    return { allowed, remainingBytes };
+}
+
+/**
+ * Creates the error passed down the upload chain when a quota is exceeded
+ * @returns {Error} - Error with code QUOTA_EXCEEDED
+ */
+function quotaExceededError() {
+    const error = new Error("Storage quota exceeded");
+    error.code = "QUOTA_EXCEEDED";
+    return error;
+}
+
+module.exports = {
+    getQuota,
+    getUsage,
+    checkQuota,
+    checkIncomingUpload,
+    quotaExceededError
+};
@@ -11,9 +11,12 @@ const HTTP_STATUS = Object.freeze({
     FORBIDDEN: 403,
     NOT_FOUND: 404,
     CONFLICT: 409,
+    GONE: 410,
     PAYLOAD_TOO_LARGE: 413,
+    UNSUPPORTED_MEDIA_TYPE: 415,
     TOO_MANY_REQUESTS: 429,
-    INTERNAL_SERVER_ERROR: 500
+    INTERNAL_SERVER_ERROR: 500,
+    SERVICE_UNAVAILABLE: 503
 });
 
 /**
@@ -102,6 +105,16 @@ const responseNoFileUploaded = (res) => {
     );
 };
 
+const responseNoTextPasted = (res) => {
+    sendError(
+        res, 
+        HTTP_STATUS.BAD_REQUEST, 
+        "No text was pasted", 
+        "Send the text as a 'text' field or a text/plain body",
+        "NO_TEXT"
+    );
+};
+
 const responseInvalidFileExtension = (res) => {
     sendError(
         res, 
@@ -112,6 +125,16 @@ const responseInvalidFileExtension = (res) => {
     );
 };
 
+const responseContentMismatch = (res) => {
+    sendError(
+        res, 
+        HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE, 
+        "File content does not match its extension", 
+        "Upload the file with the extension of its real format",
+        "CONTENT_MISMATCH"
+    );
+};
+
 const responseFileTooLarge = (res) => {
     sendError(
         res, 
@@ -122,6 +145,36 @@ const responseFileTooLarge = (res) => {
     );
 };
 
+const responseQuotaExceeded = (res) => {
+    sendError(
+        res, 
+        HTTP_STATUS.PAYLOAD_TOO_LARGE, 
+        "Storage quota exceeded", 
+        "Delete some of your uploads or ask the administrator for a larger quota",
+        "QUOTA_EXCEEDED"
+    );
+};
+
+const responseInvalidExpiry = (res) => {
+    sendError(
+        res, 
+        HTTP_STATUS.BAD_REQUEST, 
+        "Invalid expiry", 
+        "Use a duration such as 30m, 1h, 7d or 'never'",
+        "INVALID_EXPIRY"
+    );
+};
+
+const responseInvalidURL = (res) => {
+    sendError(
+        res, 
+        HTTP_STATUS.BAD_REQUEST, 
+        "Invalid URL", 
+        "Provide a valid http(s) URL",
+        "INVALID_URL"
+    );
+};
+
 // File management errors
 const responseFileDoesntExists = (res) => {
     sendError(
@@ -133,6 +186,37 @@ const responseFileDoesntExists = (res) => {
     );
 };
 
+const responseNotFileOwner = (res) => {
+    sendError(
+        res, 
+        HTTP_STATUS.FORBIDDEN, 
+        "File belongs to another user", 
+        "Use the file's deletion URL or the uploader's API key",
+        "NOT_FILE_OWNER"
+    );
+};
+
+const responseAdminRequired = (res) => {
+    sendError(
+        res, 
+        HTTP_STATUS.FORBIDDEN, 
+        "Only admins can access other users' uploads", 
+        "Leave out the owner or use an admin's API key",
+        "ADMIN_REQUIRED"
+    );
+};
+
+const responseInsufficientScope = (res, scopes) => {
+    const required = [].concat(scopes).join("' or '");
+    sendError(
+        res, 
+        HTTP_STATUS.FORBIDDEN, 
+        `API key lacks the '${required}' scope`, 
+        `Use a key with the '${required}' scope or ask the administrator to grant it`,
+        "INSUFFICIENT_SCOPE"
+    );
+};
+
 const responseFileNameIsEmpty = (res) => {
     sendError(
         res, 
@@ -197,6 +281,27 @@ const responseValidationError = (res, errors = []) => {
     );
 };
 
+// Query parameter error response
+const responseInvalidQuery = (res, problem) => {
+    sendError(
+        res, 
+        HTTP_STATUS.BAD_REQUEST, 
+        "Invalid query parameter", 
+        problem,
+        "INVALID_QUERY"
+    );
+};
+
+// Health check response: the success shape, with 503 and success false when a check fails
+const responseHealth = (res, healthy, data, message) => {
+    sendResponse(res, healthy ? HTTP_STATUS.OK : HTTP_STATUS.SERVICE_UNAVAILABLE, {
+        success: healthy,
+        message,
+        data,
+        timestamp: new Date().toISOString()
+    });
+};
+
 // Export all response functions
 module.exports = {
     // Core functions
@@ -210,19 +315,29 @@ module.exports = {
     
     // File upload
     noFileUploaded: responseNoFileUploaded,
+    noTextPasted: responseNoTextPasted,
     invalidFileExtension: responseInvalidFileExtension,
+    contentMismatch: responseContentMismatch,
     fileTooLarge: responseFileTooLarge,
+    invalidExpiry: responseInvalidExpiry,
+    quotaExceeded: responseQuotaExceeded,
+    invalidURL: responseInvalidURL,
     uploaded: responseUploaded,
     
     // File management
     fileDoesNotExists: responseFileDoesntExists,
     fileNameIsEmpty: responseFileNameIsEmpty,
+    notFileOwner: responseNotFileOwner,
+    adminRequired: responseAdminRequired,
+    insufficientScope: responseInsufficientScope,
     deleted: responseDeleted,
     
     // Additional responses
     rateLimited: responseRateLimited,
     serverError: responseServerError,
     validationError: responseValidationError,
+    invalidQuery: responseInvalidQuery,
+    health: responseHealth,
     
     // Constants
     HTTP_STATUS
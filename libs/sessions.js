@@ -0,0 +1,153 @@
+/**
+ * Browser sessions for the web pages
+ * Sessions live in memory only; a restart signs everyone out
+ */
+
+const utils = require('./utils.js');
+const config = require('../config.json');
+
+// Constants for better maintainability
+const SESSION_COOKIE = 'sharex_session';
+const SESSION_ID_LENGTH = 48;
+const DEFAULT_SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const sessions = new Map();
+
+/**
+ * Gets how long new sessions last
+ * @returns {number} - Lifetime in milliseconds
+ */
+function getSessionTtl() {
+    return utils.parseDuration(config.sessionTtl) || DEFAULT_SESSION_TTL;
+}
+
+/**
+ * Starts a session for a user who signed in with their API key
+ * @param {string} username - Authenticated user
+ * @param {string} key - API key used to sign in (re-checked on every request)
+ * @returns {Object} - The session
+ */
+function createSession(username, key) {
+    const session = {
+        id: utils.generateSecureRandomString(SESSION_ID_LENGTH),
+        username,
+        key,
+        expiresAt: Date.now() + getSessionTtl()
+    };
+
+    sessions.set(session.id, session);
+    return session;
+}
+
+/**
+ * Gets a live session
+ * @param {string} id - Session ID from the cookie
+ * @returns {Object|null} - Session or null if unknown or expired
+ */
+function getSession(id) {
+    const session = typeof id === 'string' ? sessions.get(id) : null;
+    if (!session) {
+        return null;
+    }
+
+    if (session.expiresAt <= Date.now()) {
+        sessions.delete(id);
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Ends a session
+ * @param {string} id - Session ID
+ */
+function destroySession(id) {
+    sessions.delete(id);
+}
+
+/**
+ * Ends every session of a user, e.g. when their key is revoked
+ * @param {string} username - User to sign out
+ * @returns {number} - Number of sessions ended
+ */
+function destroyUserSessions(username) {
+    let removed = 0;
+    for (const [id, session] of sessions.entries()) {
+        if (session.username === username) {
+            sessions.delete(id);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Reads the session ID from a request's cookies
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Session ID if the cookie is present
+ */
+function getSessionId(req) {
+    const cookies = req.headers.cookie;
+    if (!cookies) {
+        return null;
+    }
+
+    for (const cookie of cookies.split(';')) {
+        const [name, ...value] = cookie.trim().split('=');
+        if (name === SESSION_COOKIE) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Sets the session cookie
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} session - Session from createSession
+ */
+function setSessionCookie(req, res, session) {
+    res.cookie(SESSION_COOKIE, session.id, {
+        httpOnly: true,
+        sameSite: 'lax', // Cross-site form posts don't carry the session
+        secure: Boolean(config.ssl?.useSSL) || req.secure,
+        maxAge: Math.max(0, session.expiresAt - Date.now()),
+        path: '/'
+    });
+}
+
+/**
+ * Clears the session cookie
+ * @param {Object} res - Express response object
+ */
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * Drops expired sessions
+ * @returns {number} - Number of sessions removed
+ */
+function removeExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, session] of sessions.entries()) {
+        if (session.expiresAt <= now) {
+            sessions.delete(id);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    createSession,
+    getSession,
+    destroySession,
+    destroyUserSessions,
+    getSessionId,
+    setSessionCookie,
+    clearSessionCookie,
+    removeExpired
+};
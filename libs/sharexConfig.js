@@ -0,0 +1,103 @@
+/**
+ * ShareX custom uploader (.sxcu) generation
+ */
+
+const config = require('../config.json');
+
+const SXCU_VERSION = "17.0.0";
+
+// Destination types the server can act as, keyed by the ?type= value of /config.sxcu
+const DESTINATIONS = Object.freeze({
+    file: {
+        suffix: 'Uploader',
+        scope: 'upload', // Key scope the destination needs
+        build: (key) => ({
+            DestinationType: "ImageUploader",
+            RequestMethod: "POST",
+            RequestURL: `${config.serverUrl}/upload`,
+            Body: "MultipartFormData",
+            Arguments: { key },
+            FileFormName: "file",
+            URL: "{json:data.file.url}",
+            DeletionURL: "{json:data.file.delete_url}",
+        })
+    },
+    text: {
+        suffix: 'Paste',
+        scope: 'paste',
+        build: (key) => ({
+            DestinationType: "TextUploader",
+            RequestMethod: "POST",
+            RequestURL: `${config.serverUrl}/paste`,
+            Body: "MultipartFormData",
+            Arguments: { key, text: "{input}" },
+            URL: "{json:data.paste.url}",
+            DeletionURL: "{json:data.paste.delete_url}",
+        })
+    },
+    url: {
+        suffix: 'Shortener',
+        scope: 'shorten',
+        build: (key) => ({
+            DestinationType: "URLShortener",
+            RequestMethod: "POST",
+            RequestURL: `${config.serverUrl}/shorten`,
+            Body: "MultipartFormData",
+            Arguments: { key, url: "{input}" },
+            URL: "{json:data.link.url}",
+        })
+    }
+});
+
+/**
+ * Checks whether a destination type is supported
+ * @param {string} type - Destination type (file, text, url)
+ * @returns {boolean} - True if supported
+ */
+function isSupportedType(type) {
+    return Object.prototype.hasOwnProperty.call(DESTINATIONS, type);
+}
+
+/**
+ * Gets the key scope a destination type needs
+ * @param {string} type - Supported destination type
+ * @returns {string} - Scope name
+ */
+function getRequiredScope(type) {
+    return DESTINATIONS[type].scope;
+}
+
+/**
+ * Builds a ShareX custom uploader config
+ * @param {Object} options - Config options
+ * @param {string} options.key - API key to embed
+ * @param {string} options.type - Destination type (defaults to file)
+ * @param {string} options.expires - Optional default lifetime (file uploads and pastes)
+ * @returns {{filename: string, sxcu: Object}} - Suggested download filename and config object
+ */
+function buildSharexConfig({ key, type = 'file', expires = null }) {
+    const destination = DESTINATIONS[type];
+    const sanitizedName = (config.name || 'ShareX').replace(/[^a-zA-Z0-9-_]/g, '_');
+
+    const sxcu = {
+        Version: SXCU_VERSION,
+        Name: `${config.name}-${destination.suffix}`,
+        ...destination.build(key)
+    };
+
+    if (expires && (type === 'file' || type === 'text')) {
+        sxcu.Arguments.expires = expires;
+    }
+
+    return {
+        filename: `${sanitizedName}-${destination.suffix}.sxcu`,
+        sxcu
+    };
+}
+
+module.exports = {
+    DESTINATION_TYPES: Object.freeze(Object.keys(DESTINATIONS)),
+    isSupportedType,
+    getRequiredScope,
+    buildSharexConfig
+};
@@ -0,0 +1,171 @@
+/**
+ * Image thumbnails
+ * Thumbnails are WebP files cached in a hidden directory next to the uploads, keyed by stored name
+ * so deduplicated uploads share one thumbnail
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const logger = require('silly-logger');
+const config = require('../config.json');
+const utils = require('./utils.js');
+
+// Constants for better maintainability
+const DEFAULT_MAX_WIDTH = 400;
+const DEFAULT_MAX_HEIGHT = 300;
+const DEFAULT_QUALITY = 75;
+const THUMBNAIL_DIRECTORY_NAME = '.thumbs'; // Dotfiles are never served or imported as uploads
+const THUMBNAIL_MIME_TYPE = 'image/webp';
+
+// Formats sharp can decode; animated images use their first frame
+const SUPPORTED_MIME_TYPES = Object.freeze([
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'image/gif',
+    'image/avif',
+    'image/tiff'
+]);
+
+// Generations in flight, so concurrent requests for one thumbnail share the work
+const pending = new Map();
+
+/**
+ * Gets the thumbnail settings
+ * Read on every use so config reloads apply; thumbnails already cached keep their old size
+ * @returns {{enabled: boolean, maxWidth: number, maxHeight: number, quality: number}}
+ */
+function getSettings() {
+    const settings = config.thumbnails || {};
+    return {
+        enabled: settings.enabled !== false,
+        maxWidth: settings.maxWidth || DEFAULT_MAX_WIDTH,
+        maxHeight: settings.maxHeight || DEFAULT_MAX_HEIGHT,
+        quality: settings.quality || DEFAULT_QUALITY
+    };
+}
+
+/**
+ * Returns the directory thumbnails are cached in
+ * @returns {string} - Thumbnail directory
+ */
+function getThumbnailDirectory() {
+    return path.join(config.uploadDirectory, THUMBNAIL_DIRECTORY_NAME);
+}
+
+/**
+ * Returns the cache path of a stored file's thumbnail
+ * @param {string} storedName - Name of the stored file
+ * @returns {string} - Thumbnail path
+ */
+function getThumbnailPath(storedName) {
+    return path.join(getThumbnailDirectory(), `${storedName}.webp`);
+}
+
+/**
+ * Checks whether a thumbnail can be made for an upload
+ * @param {Object} record - Upload record
+ * @returns {boolean} - True if thumbnails are enabled and the upload is a supported image
+ */
+function isThumbnailable(record) {
+    return getSettings().enabled && SUPPORTED_MIME_TYPES.includes(record.mimetype);
+}
+
+/**
+ * Returns the public thumbnail URL of an upload
+ * @param {Object} record - Upload record
+ * @returns {string|null} - Thumbnail URL or null if the upload has none
+ */
+function getThumbnailUrl(record) {
+    return isThumbnailable(record) ? `${config.serverUrl}/t/${record.filename}` : null;
+}
+
+/**
+ * Renders a thumbnail into the cache
+ * Writes to a temporary file first so a half-written thumbnail is never served
+ * @param {string} sourcePath - Path of the full-size image
+ * @param {string} thumbnailPath - Destination path
+ * @returns {Promise<void>}
+ */
+async function renderThumbnail(sourcePath, thumbnailPath) {
+    await utils.ensureDirectory(getThumbnailDirectory());
+
+    const settings = getSettings();
+    const tempPath = `${thumbnailPath}.${process.pid}.tmp`;
+    try {
+        await sharp(sourcePath, { animated: false })
+            .rotate() // Respect EXIF orientation
+            .resize({
+                width: settings.maxWidth,
+                height: settings.maxHeight,
+                fit: 'inside',
+                withoutEnlargement: true
+            })
+            .webp({ quality: settings.quality })
+            .toFile(tempPath);
+        await fs.promises.rename(tempPath, thumbnailPath);
+    } catch (error) {
+        await utils.safeDeleteFile(tempPath);
+        throw error;
+    }
+}
+
+/**
+ * Gets the path of an upload's thumbnail, generating it if it isn't cached yet
+ * @param {Object} record - Upload record
+ * @param {string} sourcePath - Path of the stored file
+ * @returns {Promise<string|null>} - Thumbnail path or null if the upload can't have one
+ */
+async function getThumbnail(record, sourcePath) {
+    if (!isThumbnailable(record)) {
+        return null;
+    }
+
+    const thumbnailPath = getThumbnailPath(record.storedName);
+    if (await utils.fileExists(thumbnailPath)) {
+        return thumbnailPath;
+    }
+
+    if (!pending.has(record.storedName)) {
+        const generation = renderThumbnail(sourcePath, thumbnailPath)
+            .then(() => {
+                logger.debug(`Generated thumbnail for ${record.storedName}`);
+                return thumbnailPath;
+            })
+            .finally(() => pending.delete(record.storedName));
+        pending.set(record.storedName, generation);
+    }
+
+    return pending.get(record.storedName);
+}
+
+/**
+ * Generates a thumbnail in the background after an upload
+ * Failures are only logged; the thumbnail route retries on demand
+ * @param {Object} record - Upload record
+ * @param {string} sourcePath - Path of the stored file
+ */
+function queueThumbnail(record, sourcePath) {
+    getThumbnail(record, sourcePath).catch((error) => {
+        logger.warn(`Failed to generate thumbnail for ${record.filename}: ${error.message}`);
+    });
+}
+
+/**
+ * Deletes a stored file's cached thumbnail
+ * @param {string} storedName - Name of the stored file
+ * @returns {Promise<boolean>} - True if a thumbnail was removed
+ */
+function removeThumbnail(storedName) {
+    return utils.safeDeleteFile(getThumbnailPath(storedName));
+}
+
+module.exports = {
+    THUMBNAIL_MIME_TYPE,
+    isThumbnailable,
+    getThumbnailUrl,
+    getThumbnail,
+    queueThumbnail,
+    removeThumbnail
+};
@@ -0,0 +1,128 @@
+/**
+ * Staging store for resumable (tus) uploads
+ * Upload state lives in a journal and the partial bytes in the data directory, so uploads survive restarts
+ */
+
+const fs = require('fs');
+const logger = require('silly-logger');
+const { createJournal, getDataPath } = require('./journal.js');
+const utils = require('./utils.js');
+
+const UPLOAD_ID_LENGTH = 32;
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9]+$/;
+
+const journal = createJournal(getDataPath('tus.jsonl'));
+
+/**
+ * Returns the staging path of an upload's bytes
+ * @param {string} id - Upload ID
+ * @returns {string} - Staging file path
+ */
+function getStagingPath(id) {
+    return getDataPath('tus', id);
+}
+
+/**
+ * Starts a resumable upload with an empty staging file
+ * @param {Object} upload - Upload details
+ * @param {string} upload.owner - Username of the uploader
+ * @param {number} upload.length - Total size announced by the client
+ * @param {string} upload.originalName - Filename from the upload metadata
+ * @param {string|null} upload.requestedExpiry - Requested lifetime from the upload metadata
+ * @returns {Promise<Object>} - The stored record
+ */
+async function createUpload(upload) {
+    const id = utils.generateSecureRandomString(UPLOAD_ID_LENGTH);
+
+    await utils.ensureDirectory(getDataPath('tus'));
+    await fs.promises.writeFile(getStagingPath(id), '');
+
+    const record = {
+        id,
+        owner: upload.owner,
+        length: upload.length,
+        originalName: upload.originalName,
+        requestedExpiry: upload.requestedExpiry || null,
+        createdAt: new Date().toISOString()
+    };
+
+    await journal.put(id, record);
+    return record;
+}
+
+/**
+ * Gets a resumable upload
+ * @param {string} id - Upload ID
+ * @returns {Object|null} - Upload record or null if unknown
+ */
+function getUpload(id) {
+    if (typeof id !== 'string' || !UPLOAD_ID_PATTERN.test(id)) {
+        return null;
+    }
+    return journal.get(id);
+}
+
+/**
+ * Gets the current offset of an upload (the bytes already staged)
+ * @param {Object} record - Upload record
+ * @returns {Promise<number|null>} - Offset or null if the staging file is gone
+ */
+async function getOffset(record) {
+    const stats = await utils.getFileStats(getStagingPath(record.id));
+    return stats ? stats.size : null;
+}
+
+/**
+ * Forgets an upload, deleting its staging file unless it has already been moved
+ * @param {Object} record - Upload record
+ * @returns {Promise<void>}
+ */
+async function removeUpload(record) {
+    await utils.safeDeleteFile(getStagingPath(record.id));
+    await journal.remove(record.id);
+}
+
+/**
+ * Gets when an upload last received bytes
+ * @param {Object} record - Upload record
+ * @returns {Promise<number>} - Time in milliseconds
+ */
+async function getLastActivity(record) {
+    const stats = await utils.getFileStats(getStagingPath(record.id));
+    return stats ? stats.mtimeMs : Date.parse(record.createdAt);
+}
+
+/**
+ * Deletes unfinished uploads that haven't received bytes for too long
+ * @param {number} maxIdle - Maximum idle time in milliseconds
+ * @returns {Promise<number>} - Number of uploads removed
+ */
+async function reapStale(maxIdle) {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const record of journal.values()) {
+        try {
+            if (now - await getLastActivity(record) > maxIdle) {
+                await removeUpload(record);
+                removed++;
+            }
+        } catch (error) {
+            logger.error(`Failed to remove stale resumable upload ${record.id}: ${error.message}`);
+        }
+    }
+
+    return removed;
+}
+
+module.exports = {
+    load: journal.load,
+    flush: journal.flush,
+    createUpload,
+    getUpload,
+    getOffset,
+    getStagingPath,
+    removeUpload,
+    getLastActivity,
+    reapStale
+};
@@ -0,0 +1,107 @@
+/**
+ * Upload finalization shared by every upload path (multer, streaming Busboy, tus)
+ * Applies quota and expiry policy, deduplicates content and records the upload
+ */
+
+const logger = require('silly-logger');
+const config = require('../config.json');
+const fileStore = require('./fileStore.js');
+const quota = require('./quota.js');
+const expiry = require('./expiry.js');
+const utils = require('./utils.js');
+const thumbnails = require('./thumbnails.js');
+const contentSniffer = require('./contentSniffer.js');
+
+/**
+ * Creates an error carrying a code the upload routes map to a response
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error}
+ */
+function codedError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Records a file that has been fully written to the upload directory
+ * The file is removed again if the upload is rejected
+ * @param {Object} upload - Completed upload
+ * @param {string} upload.filename - Generated public filename (already on disk)
+ * @param {string} upload.filePath - Path of the written file
+ * @param {string} upload.originalName - Filename as sent by the client
+ * @param {number} upload.size - Size in bytes
+ * @param {string} upload.mimetype - Client-declared MIME type (ignored, the content is sniffed)
+ * @param {string} upload.sha256 - SHA-256 if it was computed while streaming
+ * @param {string} upload.username - Authenticated uploader
+ * @param {string} upload.shortKey - Key prefix for logging
+ * @param {string|null} upload.requestedExpiry - Requested lifetime
+ * @returns {Promise<{record: Object, fileUrl: string, deleteUrl: string}>}
+ * @throws {Error} - With code CONTENT_MISMATCH, QUOTA_EXCEEDED or INVALID_EXPIRY when rejected
+ */
+async function finalizeUpload(upload) {
+    const { filename, filePath, username, shortKey } = upload;
+
+    // The extension decides how the file is served, so it has to agree with the content
+    const content = await contentSniffer.verifyFileContent(filePath, filename);
+    if (!content.valid) {
+        await utils.safeDeleteFile(filePath);
+        logger.warn(`Rejected ${upload.originalName}: content looks like ${content.detected || "an unknown format"} (${shortKey})`);
+        throw codedError("File content does not match its extension", "CONTENT_MISMATCH");
+    }
+
+    // Final quota check with the real size
+    if (!quota.checkQuota(username, upload.size).allowed) {
+        await utils.safeDeleteFile(filePath);
+        throw quota.quotaExceededError();
+    }
+
+    const { valid, expiresAt } = expiry.resolveExpiry(username, upload.requestedExpiry);
+    if (!valid) {
+        await utils.safeDeleteFile(filePath);
+        throw codedError("Invalid expiry", "INVALID_EXPIRY");
+    }
+
+    const deleteToken = utils.generateSecureRandomString(32);
+    const sha256 = upload.sha256 || await utils.calculateFileHash(filePath);
+
+    // Identical content is stored once; the new filename references the existing bytes.
+    // addUpload indexes the reference before its first await, in the same tick as the lookup,
+    // so a concurrent delete of the last other reference sees this one and keeps the blob
+    const duplicate = fileStore.findBySha256(sha256);
+    let record = await fileStore.addUpload({
+        filename,
+        storedName: duplicate ? duplicate.storedName : filename,
+        deleteToken,
+        owner: username,
+        originalName: upload.originalName,
+        size: upload.size,
+        mimetype: content.mimetype,
+        sha256,
+        expiresAt
+    });
+
+    if (duplicate) {
+        if (await utils.fileExists(fileStore.getStoredPath(record))) {
+            await utils.safeDeleteFile(filePath);
+            logger.info(`Deduplicated ${filename} against ${record.storedName} (${shortKey})`);
+        } else {
+            // The shared blob went missing from disk, so the upload keeps its own copy
+            record = await fileStore.updateUpload(filename, { storedName: filename });
+        }
+    }
+
+    // Thumbnails are ready by the time the upload shows up in the file index
+    thumbnails.queueThumbnail(record, fileStore.getStoredPath(record));
+
+    return {
+        record,
+        fileUrl: config.staticFileServerUrl + filename,
+        deleteUrl: `${config.serverUrl}/delete/${deleteToken}`
+    };
+}
+
+module.exports = {
+    finalizeUpload
+};
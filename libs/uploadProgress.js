@@ -0,0 +1,390 @@
+/**
+ * Upload progress tracking
+ * Upload paths report bytes as they arrive; WebSocket clients subscribe to an upload ID and receive throttled events
+ * Only a socket authenticated with the key that started an upload can watch it
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const logger = require('silly-logger');
+const utils = require('./utils.js');
+
+// Constants for better maintainability
+const UPLOAD_ID_LENGTH = 24;
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const EMIT_INTERVAL = 250; // Minimum time between progress events per upload
+const SPEED_WINDOW = 5000; // Speed is averaged over the last 5 seconds
+const MAX_PENDING_SUBSCRIPTIONS = 10; // Uploads a socket may wait for before they start
+const WAITING_TTL = 5 * 60 * 1000; // Uploads that never start are forgotten after 5 minutes
+
+const STATES = Object.freeze({
+    WAITING: 'waiting', // A socket subscribed before the upload started
+    RECEIVING: 'receiving',
+    PROCESSING: 'processing',
+    DONE: 'done',
+    FAILED: 'failed'
+});
+
+// Store active uploads with progress information
+const activeUploads = new Map();
+
+/**
+ * Hashes a key so uploads can be matched to sockets without keeping keys in memory twice
+ * @param {string} key - API key
+ * @returns {string} - Key fingerprint
+ */
+function fingerprintKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Picks the ID an upload is tracked under: the client's X-Upload-Id header or uploadId query parameter
+ * when it is well-formed and unused, otherwise a server-issued one
+ * @param {Object} req - Express request object
+ * @returns {string} - Upload ID
+ */
+function resolveUploadId(req) {
+    const requested = req.headers['x-upload-id'] || req.query?.uploadId;
+
+    if (typeof requested === 'string' && UPLOAD_ID_PATTERN.test(requested)) {
+        const existing = activeUploads.get(requested);
+        // A waiting entry means the client subscribed first, which is how client-supplied IDs are meant to be used
+        if (!existing || existing.state === STATES.WAITING) {
+            return requested;
+        }
+    }
+
+    return utils.generateSecureRandomString(UPLOAD_ID_LENGTH);
+}
+
+/**
+ * Creates a progress entry, or takes over the entry a socket created by subscribing early
+ * @param {string} uploadId - Upload ID
+ * @returns {Object} - Progress entry
+ */
+function getOrCreateEntry(uploadId) {
+    let entry = activeUploads.get(uploadId);
+    if (!entry) {
+        entry = {
+            uploadId,
+            owner: null,
+            keyHash: null,
+            state: STATES.WAITING,
+            bytes: 0,
+            total: null,
+            startedAt: null,
+            timestamp: Date.now(),
+            lastEmit: 0,
+            samples: [],
+            subscribers: new Set()
+        };
+        activeUploads.set(uploadId, entry);
+    }
+    return entry;
+}
+
+/**
+ * Starts tracking an upload
+ * @param {string} uploadId - Upload ID from resolveUploadId
+ * @param {Object} options - Upload details
+ * @param {number|null} options.total - Expected size in bytes if known
+ * @param {number} options.bytes - Bytes already received (resumed uploads)
+ * @param {string} options.username - Uploader if already authenticated
+ * @param {string} options.key - Key that started the upload if already authenticated
+ */
+function startUpload(uploadId, options = {}) {
+    const entry = getOrCreateEntry(uploadId);
+    const now = Date.now();
+
+    entry.state = STATES.RECEIVING;
+    entry.total = Number.isFinite(options.total) && options.total > 0 ? options.total : null;
+    entry.bytes = options.bytes || 0;
+    entry.startedAt = now;
+    entry.timestamp = now;
+    entry.samples = [{ time: now, bytes: entry.bytes }];
+
+    if (options.key) {
+        setOwner(uploadId, options.username, options.key);
+    }
+
+    emit(entry, true);
+}
+
+/**
+ * Binds an upload to the key that started it, once that key is known
+ * Multipart uploads only reveal their key after some of the body has been parsed
+ * @param {string} uploadId - Upload ID
+ * @param {string} username - Uploader
+ * @param {string} key - API key the upload was authenticated with
+ */
+function setOwner(uploadId, username, key) {
+    const entry = activeUploads.get(uploadId);
+    if (!entry || entry.keyHash) {
+        return;
+    }
+
+    entry.owner = username;
+    entry.keyHash = fingerprintKey(key);
+
+    // Sockets that subscribed before the owner was known must prove they hold the same key
+    for (const ws of entry.subscribers) {
+        if (ws.keyHash !== entry.keyHash) {
+            entry.subscribers.delete(ws);
+            sendToSocket(ws, { type: 'error', uploadId, message: 'Not allowed to track this upload' });
+        }
+    }
+}
+
+/**
+ * Records how many bytes of an upload have arrived
+ * @param {string} uploadId - Upload ID
+ * @param {number} bytes - Total bytes received so far
+ */
+function reportProgress(uploadId, bytes) {
+    const entry = activeUploads.get(uploadId);
+    if (!entry || entry.state !== STATES.RECEIVING) {
+        return;
+    }
+
+    const now = Date.now();
+    entry.bytes = bytes;
+    entry.timestamp = now;
+
+    if (now - entry.lastEmit >= EMIT_INTERVAL) {
+        entry.samples.push({ time: now, bytes });
+        while (entry.samples.length > 2 && now - entry.samples[0].time > SPEED_WINDOW) {
+            entry.samples.shift();
+        }
+        emit(entry);
+    }
+}
+
+/**
+ * Moves an upload to another state and notifies subscribers immediately
+ * @param {string} uploadId - Upload ID
+ * @param {string} state - One of STATES
+ * @param {Object} details - Extra fields for the event (url on done, error on failed)
+ */
+function setState(uploadId, state, details = {}) {
+    const entry = activeUploads.get(uploadId);
+    if (!entry || entry.state === STATES.DONE || entry.state === STATES.FAILED) {
+        return;
+    }
+
+    // Once the body is in, what arrived is the whole upload (Content-Length also counts multipart framing)
+    if (state === STATES.PROCESSING || state === STATES.DONE) {
+        entry.total = entry.bytes;
+    }
+
+    entry.state = state;
+    entry.timestamp = Date.now();
+    entry.details = details;
+    emit(entry, true);
+}
+
+/**
+ * Marks an upload as fully received and being processed
+ * @param {string} uploadId - Upload ID
+ */
+function markProcessing(uploadId) {
+    setState(uploadId, STATES.PROCESSING);
+}
+
+/**
+ * Marks an upload as finished
+ * @param {string} uploadId - Upload ID
+ * @param {string} url - Public URL of the uploaded file
+ */
+function markDone(uploadId, url) {
+    setState(uploadId, STATES.DONE, { url });
+}
+
+/**
+ * Marks an upload as failed
+ * @param {string} uploadId - Upload ID
+ * @param {string} message - Reason shown to subscribers
+ */
+function markFailed(uploadId, message) {
+    setState(uploadId, STATES.FAILED, { error: message });
+}
+
+/**
+ * Builds the progress event sent to subscribers
+ * @param {Object} entry - Progress entry
+ * @returns {Object} - Progress event
+ */
+function buildEvent(entry) {
+    const first = entry.samples[0];
+    const elapsed = first ? (entry.timestamp - first.time) / 1000 : 0;
+    const speed = elapsed > 0 ? Math.round((entry.bytes - first.bytes) / elapsed) : 0;
+    const remaining = entry.total !== null ? Math.max(entry.total - entry.bytes, 0) : null;
+
+    return {
+        type: 'progress',
+        uploadId: entry.uploadId,
+        state: entry.state,
+        bytes: entry.bytes,
+        total: entry.total,
+        percent: entry.total ? Math.min(Math.floor((entry.bytes / entry.total) * 100), 100) : null,
+        speed, // Bytes per second
+        eta: remaining !== null && speed > 0 ? Math.ceil(remaining / speed) : null, // Seconds
+        ...entry.details,
+        timestamp: entry.timestamp
+    };
+}
+
+/**
+ * Sends a message to a socket if it is still open
+ * @param {WebSocket} ws - Socket
+ * @param {Object} message - Message to send
+ */
+function sendToSocket(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Pushes an upload's progress to its subscribers
+ * @param {Object} entry - Progress entry
+ * @param {boolean} force - Send even if the last event was sent within EMIT_INTERVAL
+ */
+function emit(entry, force = false) {
+    const now = Date.now();
+    if (!force && now - entry.lastEmit < EMIT_INTERVAL) {
+        return;
+    }
+    entry.lastEmit = now;
+
+    // Nothing is revealed until the upload's key is known
+    if (!entry.keyHash || entry.subscribers.size === 0) {
+        return;
+    }
+
+    const event = buildEvent(entry);
+    for (const ws of entry.subscribers) {
+        sendToSocket(ws, event);
+    }
+}
+
+/**
+ * Counts the uploads a socket is waiting for that haven't started yet
+ * @param {WebSocket} ws - Socket
+ * @returns {number} - Waiting subscriptions
+ */
+function countPendingSubscriptions(ws) {
+    let count = 0;
+    for (const entry of activeUploads.values()) {
+        if (entry.state === STATES.WAITING && entry.subscribers.has(ws)) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Subscribes an authenticated socket to an upload
+ * @param {WebSocket} ws - Socket with keyHash set by authenticateSocket
+ * @param {string} uploadId - Upload ID
+ * @returns {string|null} - null once subscribed, otherwise INVALID_UPLOAD_ID, NOT_UPLOAD_OWNER or TOO_MANY_SUBSCRIPTIONS
+ */
+function subscribe(ws, uploadId) {
+    if (typeof uploadId !== 'string' || !UPLOAD_ID_PATTERN.test(uploadId)) {
+        return 'INVALID_UPLOAD_ID';
+    }
+
+    const existing = activeUploads.get(uploadId);
+    if (existing?.keyHash && existing.keyHash !== ws.keyHash) {
+        logger.warn(`Refusing progress subscription to upload ${uploadId} owned by ${existing.owner} (${ws.username})`);
+        return 'NOT_UPLOAD_OWNER';
+    }
+
+    // Every early subscription holds an entry until the upload starts, so a socket only gets a few
+    if (!existing && countPendingSubscriptions(ws) >= MAX_PENDING_SUBSCRIPTIONS) {
+        logger.warn(`Refusing progress subscription to upload ${uploadId}: too many pending subscriptions (${ws.username})`);
+        return 'TOO_MANY_SUBSCRIPTIONS';
+    }
+
+    // Uploads may be tracked before they start, using a client-supplied ID
+    const entry = existing || getOrCreateEntry(uploadId);
+    entry.subscribers.add(ws);
+
+    if (entry.keyHash && entry.state !== STATES.WAITING) {
+        sendToSocket(ws, buildEvent(entry));
+    }
+    return null;
+}
+
+/**
+ * Removes a socket from every upload it tracks
+ * Uploads nobody is waiting for any more and that never started are forgotten
+ * @param {WebSocket} ws - Socket
+ */
+function unsubscribe(ws) {
+    for (const [uploadId, entry] of activeUploads.entries()) {
+        entry.subscribers.delete(ws);
+        if (entry.state === STATES.WAITING && entry.subscribers.size === 0) {
+            activeUploads.delete(uploadId);
+        }
+    }
+}
+
+/**
+ * Marks a socket as authenticated with a key
+ * @param {WebSocket} ws - Socket
+ * @param {string} username - User the key belongs to
+ * @param {string} key - Validated API key
+ */
+function authenticateSocket(ws, username, key) {
+    ws.username = username;
+    ws.keyHash = fingerprintKey(key);
+}
+
+/**
+ * Forgets uploads that have seen no activity for a while
+ * Subscriptions to uploads that never started expire sooner, after WAITING_TTL
+ * @param {number} maxAge - Maximum idle time in milliseconds
+ * @returns {number} - Number of entries removed
+ */
+function removeStale(maxAge) {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [uploadId, entry] of activeUploads.entries()) {
+        const limit = entry.state === STATES.WAITING ? Math.min(maxAge, WAITING_TTL) : maxAge;
+        if (now - entry.timestamp > limit) {
+            activeUploads.delete(uploadId);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Lists uploads that are still in flight
+ * @returns {Array<Object>} - Progress events of receiving and processing uploads
+ */
+function listActive() {
+    return Array.from(activeUploads.values())
+        .filter(entry => entry.state === STATES.RECEIVING || entry.state === STATES.PROCESSING)
+        .map(entry => ({ ...buildEvent(entry), owner: entry.owner }));
+}
+
+module.exports = {
+    STATES,
+    MAX_PENDING_SUBSCRIPTIONS,
+    activeUploads,
+    resolveUploadId,
+    startUpload,
+    setOwner,
+    reportProgress,
+    markProcessing,
+    markDone,
+    markFailed,
+    subscribe,
+    unsubscribe,
+    authenticateSocket,
+    removeStale,
+    listActive
+};
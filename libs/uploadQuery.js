@@ -0,0 +1,238 @@
+/**
+ * Filtering, sorting and cursor pagination of upload records
+ * Shared by the JSON API and the HTML file index so both list uploads the same way
+ */
+
+const mime = require('mime-types');
+const fileStore = require('./fileStore.js');
+
+// Constants for better maintainability
+const FILE_TYPES = Object.freeze(['image', 'video', 'other']);
+const SORT_FIELDS = Object.freeze(['date', 'size', 'name']);
+const SORT_ORDERS = Object.freeze(['asc', 'desc']);
+const DEFAULT_SORT = 'date';
+const DEFAULT_ORDER = 'desc';
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Classifies an upload as image, video or other
+ * @param {Object} record - Upload record
+ * @returns {string} - One of FILE_TYPES
+ */
+function getFileType(record) {
+    const mimeType = record.mimetype || mime.lookup(record.filename) || 'application/octet-stream';
+
+    if (mimeType.startsWith('image/')) {
+        return 'image';
+    }
+    if (mimeType.startsWith('video/')) {
+        return 'video';
+    }
+    return 'other';
+}
+
+/**
+ * Parses a date filter value
+ * @param {string} value - ISO date, date-time or milliseconds since the epoch
+ * @returns {number|null} - Milliseconds since the epoch or null if invalid
+ */
+function parseDate(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Parses from/to filter values into an inclusive time range
+ * A plain date as the upper bound includes that whole day
+ * @param {string} fromValue - from query parameter
+ * @param {string} toValue - to query parameter
+ * @returns {{from: number|null, to: number|null}} - Bounds in milliseconds, null when unset or invalid
+ */
+function parseDateRange(fromValue, toValue) {
+    const from = fromValue ? parseDate(fromValue) : null;
+    let to = toValue ? parseDate(toValue) : null;
+
+    if (to !== null && DATE_ONLY_PATTERN.test(toValue)) {
+        to += DAY - 1;
+    }
+
+    return { from, to };
+}
+
+/**
+ * Gets the value an upload is sorted by
+ * @param {Object} record - Upload record
+ * @param {string} sort - One of SORT_FIELDS
+ * @returns {number|string} - Sort value
+ */
+function getSortValue(record, sort) {
+    switch (sort) {
+        case 'size':
+            return record.size;
+        case 'name':
+            return record.filename.toLowerCase();
+        default:
+            return Date.parse(record.createdAt) || 0;
+    }
+}
+
+/**
+ * Compares two sort positions, breaking ties by filename so the order is total
+ * @param {Array} a - [sortValue, filename]
+ * @param {Array} b - [sortValue, filename]
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {number} - Negative, zero or positive
+ */
+function comparePositions(a, b, order) {
+    let result = 0;
+    if (a[0] !== b[0]) {
+        result = a[0] < b[0] ? -1 : 1;
+    } else if (a[1] !== b[1]) {
+        result = a[1] < b[1] ? -1 : 1;
+    }
+    return order === 'asc' ? result : -result;
+}
+
+/**
+ * Encodes the position after which the next page starts
+ * @param {Array} position - [sortValue, filename]
+ * @returns {string} - Opaque cursor
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor from encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Array|null} - [sortValue, filename] or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Array.isArray(position) && position.length === 2 && typeof position[1] === 'string' &&
+            ['number', 'string'].includes(typeof position[0])) {
+            return position;
+        }
+    } catch (error) {
+        // Falls through to null
+    }
+    return null;
+}
+
+/**
+ * Validates and normalizes query parameters
+ * @param {Object} query - Query parameters (type, owner, q, from, to, sort, order)
+ * @returns {{options: Object|null, error: string|null}} - Normalized options, or the first problem found
+ */
+function parseQuery(query) {
+    const type = query.type || null;
+    const sort = query.sort || DEFAULT_SORT;
+    const order = query.order || DEFAULT_ORDER;
+    const { from, to } = parseDateRange(query.from, query.to);
+
+    if (type !== null && !FILE_TYPES.includes(type)) {
+        return { options: null, error: `type must be one of ${FILE_TYPES.join(', ')}` };
+    }
+    if (!SORT_FIELDS.includes(sort)) {
+        return { options: null, error: `sort must be one of ${SORT_FIELDS.join(', ')}` };
+    }
+    if (!SORT_ORDERS.includes(order)) {
+        return { options: null, error: `order must be one of ${SORT_ORDERS.join(', ')}` };
+    }
+    if ((query.from && from === null) || (query.to && to === null)) {
+        return { options: null, error: 'from and to must be ISO dates or timestamps in milliseconds' };
+    }
+
+    for (const name of ['owner', 'q']) {
+        if (query[name] !== undefined && typeof query[name] !== 'string') {
+            return { options: null, error: `${name} must be given once` };
+        }
+    }
+
+    return {
+        options: {
+            type,
+            owner: query.owner || null,
+            search: query.q ? query.q.toLowerCase() : null,
+            from,
+            to,
+            sort,
+            order
+        },
+        error: null
+    };
+}
+
+/**
+ * Filters and sorts upload records
+ * Expired uploads are always left out
+ * @param {Array<Object>} records - Upload records
+ * @param {Object} options - Options from parseQuery
+ * @returns {Array<Object>} - Matching records in order
+ */
+function queryUploads(records, options) {
+    const now = Date.now();
+
+    return records
+        .filter(record => {
+            if (fileStore.isExpired(record, now)) return false;
+            if (options.owner && record.owner !== options.owner) return false;
+            if (options.type && getFileType(record) !== options.type) return false;
+            if (options.search && !record.filename.toLowerCase().includes(options.search)) return false;
+
+            const created = Date.parse(record.createdAt);
+            if (options.from !== null && !(created >= options.from)) return false;
+            if (options.to !== null && !(created <= options.to)) return false;
+            return true;
+        })
+        .sort((a, b) => comparePositions(
+            [getSortValue(a, options.sort), a.filename],
+            [getSortValue(b, options.sort), b.filename],
+            options.order
+        ));
+}
+
+/**
+ * Cuts one page out of sorted records
+ * @param {Array<Object>} records - Records from queryUploads
+ * @param {Object} options - Options from parseQuery
+ * @param {string|null} cursor - Cursor from a previous page, or null for the first page
+ * @param {number} limit - Page size
+ * @returns {{items: Array<Object>, nextCursor: string|null}|null} - The page, or null if the cursor is malformed
+ */
+function paginate(records, options, cursor, limit) {
+    let remaining = records;
+
+    if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position) {
+            return null;
+        }
+        remaining = records.filter(record => comparePositions(
+            [getSortValue(record, options.sort), record.filename], position, options.order) > 0);
+    }
+
+    const items = remaining.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = remaining.length > limit
+        ? encodeCursor([getSortValue(last, options.sort), last.filename])
+        : null;
+
+    return { items, nextCursor };
+}
+
+module.exports = {
+    FILE_TYPES,
+    SORT_FIELDS,
+    getFileType,
+    parseDateRange,
+    parseQuery,
+    queryUploads,
+    paginate
+};
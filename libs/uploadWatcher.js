@@ -0,0 +1,106 @@
+/**
+ * Keeps the upload store in line with files added to or removed from the upload directory by hand
+ * Uploads made through the server update the store directly; this only catches changes from outside
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('silly-logger');
+const config = require('../config.json');
+const fileStore = require('./fileStore.js');
+const utils = require('./utils.js');
+
+// Constants for better maintainability
+const SETTLE_DELAY = 2000; // Quiet time after the last event before a file is looked at
+const IMPORT_AGE = 60 * 1000; // Unknown files must be unchanged this long, so uploads still being written are left alone
+
+let watcher = null;
+const timers = new Map();
+
+/**
+ * Checks a file once its events have settled
+ * @param {string} name - Filename in the upload directory
+ */
+async function checkFile(name) {
+    timers.delete(name);
+
+    const stats = await utils.getFileStats(path.join(path.resolve(config.uploadDirectory), name));
+    const age = stats ? Date.now() - stats.mtimeMs : Infinity;
+
+    // Files that are still changing get another look once they are old enough
+    if (age < IMPORT_AGE && !fileStore.getUpload(name)) {
+        return schedule(name, IMPORT_AGE - age);
+    }
+
+    try {
+        const change = await fileStore.syncStoredFile(name);
+        if (change === 'imported') {
+            logger.info(`Imported ${name} added to the upload directory`);
+        } else if (change === 'removed') {
+            logger.info(`Dropped records of ${name}, which was removed from the upload directory`);
+        }
+    } catch (error) {
+        logger.error(`Failed to sync ${name} with the upload store: ${error.message}`);
+    }
+}
+
+/**
+ * Schedules a check of a file, replacing any pending one
+ * @param {string} name - Filename in the upload directory
+ * @param {number} delay - Delay in milliseconds
+ */
+function schedule(name, delay) {
+    clearTimeout(timers.get(name));
+
+    const timer = setTimeout(() => checkFile(name), delay);
+    timer.unref();
+    timers.set(name, timer);
+}
+
+/**
+ * Starts watching the upload directory
+ * @returns {boolean} - True if the watcher is running
+ */
+function start() {
+    if (watcher) {
+        return true;
+    }
+
+    try {
+        watcher = fs.watch(path.resolve(config.uploadDirectory), { persistent: false }, (eventType, filename) => {
+            // Thumbnails and other dotfiles are the server's own bookkeeping
+            if (!filename || filename.startsWith('.')) {
+                return;
+            }
+            schedule(filename, SETTLE_DELAY);
+        });
+    } catch (error) {
+        logger.warn(`Could not watch the upload directory, outside changes will only be picked up on restart: ${error.message}`);
+        return false;
+    }
+
+    watcher.on('error', (error) => {
+        logger.error(`Upload directory watcher failed: ${error.message}`);
+        stop();
+    });
+
+    return true;
+}
+
+/**
+ * Stops watching and drops pending checks
+ */
+function stop() {
+    if (watcher) {
+        watcher.close();
+        watcher = null;
+    }
+
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+}
+
+module.exports = {
+    start,
+    stop
+};
@@ -0,0 +1,54 @@
+/**
+ * Per-user settings that users change themselves (as opposed to policy in config.json)
+ */
+
+const { createJournal, getDataPath } = require('./journal.js');
+
+const DEFAULT_SETTINGS = Object.freeze({
+    publicGallery: false
+});
+
+const journal = createJournal(getDataPath('settings.jsonl'));
+
+/**
+ * Gets a user's settings
+ * @param {string} username - User
+ * @returns {Object} - Settings with defaults filled in
+ */
+function getSettings(username) {
+    return { ...DEFAULT_SETTINGS, ...journal.get(username) };
+}
+
+/**
+ * Changes some of a user's settings
+ * @param {string} username - User
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} - The updated settings
+ */
+async function updateSettings(username, changes) {
+    const settings = {
+        ...getSettings(username),
+        ...changes,
+        updatedAt: new Date().toISOString()
+    };
+
+    await journal.put(username, settings);
+    return settings;
+}
+
+/**
+ * Checks whether a user shares their file listing publicly
+ * @param {string} username - User
+ * @returns {boolean} - True if their gallery is public
+ */
+function hasPublicGallery(username) {
+    return getSettings(username).publicGallery === true;
+}
+
+module.exports = {
+    load: journal.load,
+    flush: journal.flush,
+    getSettings,
+    updateSettings,
+    hasPublicGallery
+};
@@ -5,6 +5,7 @@
 
 const path = require('path');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const crypto = require('crypto');
 
 /**
@@ -75,11 +76,15 @@ function generateSecureRandomString(length = 32, charset = 'ABCDEFGHIJKLMNOPQRST
  * @param {string} filePath - Path to the file
  * @returns {Promise<string>} - File hash
  */
-async function calculateFileHash(filePath) {
-    const hash = crypto.createHash('sha256');
-    const fileBuffer = await fs.readFile(filePath);
-    hash.update(fileBuffer);
-    return hash.digest('hex');
+function calculateFileHash(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        const stream = fsSync.createReadStream(filePath);
+        
+        stream.on('data', (chunk) => hash.update(chunk));
+        stream.on('error', reject);
+        stream.on('end', () => resolve(hash.digest('hex')));
+    });
 }
 
 /**
@@ -155,6 +160,25 @@ async function safeDeleteFile(filePath) {
     }
 }
 
+/**
+ * Moves a file, copying across filesystems when a rename isn't possible
+ * @param {string} sourcePath - Current path
+ * @param {string} targetPath - New path
+ * @returns {Promise<void>}
+ */
+async function moveFile(sourcePath, targetPath) {
+    try {
+        await fs.rename(sourcePath, targetPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        
+        await fs.copyFile(sourcePath, targetPath);
+        await fs.unlink(sourcePath);
+    }
+}
+
 /**
  * Creates directory recursively if it doesn't exist
  * @param {string} dirPath - Directory path to create
@@ -212,6 +236,32 @@ function isValidURL(url) {
     }
 }
 
+/**
+ * Parses a duration such as "30m", "1h", "7d" or "never"
+ * @param {string} value - Duration string (units: s, m, h, d, w)
+ * @returns {number|null|undefined} - Milliseconds, null for "never", undefined if invalid
+ */
+function parseDuration(value) {
+    if (typeof value !== 'string') {
+        return undefined;
+    }
+    
+    const normalized = value.trim().toLowerCase();
+    if (normalized === 'never') {
+        return null;
+    }
+    
+    const match = /^(\d+)\s*([smhdw])$/.exec(normalized);
+    if (!match) {
+        return undefined;
+    }
+    
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+    const amount = parseInt(match[1], 10);
+    
+    return amount > 0 ? amount * units[match[2]] : undefined;
+}
+
 /**
  * Throttles function execution
  * @param {Function} func - Function to throttle
@@ -289,10 +339,12 @@ module.exports = {
     isFileExtensionAllowed,
     isMimeTypeAllowed,
     safeDeleteFile,
+    moveFile,
     ensureDirectory,
     isValidIP,
     sanitizeInput,
     isValidURL,
+    parseDuration,
     throttle,
     debounce,
     retryWithBackoff
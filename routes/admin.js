@@ -0,0 +1,305 @@
+const express = require("express");
+const router = express.Router();
+const logger = require("silly-logger");
+const middleware = require("../libs/middleware.js");
+const auditLog = require("../libs/auditLog.js");
+const metrics = require("../libs/metrics.js");
+const fileStore = require("../libs/fileStore.js");
+const thumbnails = require("../libs/thumbnails.js");
+const quota = require("../libs/quota.js");
+const sessions = require("../libs/sessions.js");
+const keyManager = require("../libs/keyManager.js");
+const configLoader = require("../libs/configLoader.js");
+const sharexConfig = require("../libs/sharexConfig.js");
+const uploadQuery = require("../libs/uploadQuery.js");
+const uploadProgress = require("../libs/uploadProgress.js");
+
+// Constants for better maintainability
+const RECENT_UPLOADS = 48; // Uploads shown on the dashboard
+const MAX_BULK_DELETE = 500;
+const LOGIN_VIEW = Object.freeze({ title: "Admin", action: "/admin/login" });
+
+// Messages shown after an action, keyed by the notice query parameter
+const NOTICES = Object.freeze({
+  revoked: (query) => `Revoked the key of ${query.name}`,
+  deleted: (query) => `Deleted ${query.count} file(s)`,
+  "not-found": (query) => `No key for user ${query.name}`,
+  "own-key": () => "You can't revoke the key you are signed in with; use keys.js instead",
+  "revoke-failed": (query) => `Could not revoke the key of ${query.name}, see the server log`,
+  "no-files": () => "Select at least one file to delete",
+});
+
+// Keys in the query string or a session cookie both sign a browser in
+router.use(middleware.keyOptional, middleware.sessionOptional);
+
+/**
+ * Sends visitors to the sign-in page and turns away signed-in users without the admin scope
+ */
+function adminRequired(req, res, next) {
+  if (!req.locals.username) {
+    return res.redirect(303, "/admin/login");
+  }
+  if (!middleware.isAdmin(req.locals.username)) {
+    logger.warn(`${req.locals.username} tried to open the admin dashboard without the admin scope`);
+    auditLog.recordAuthFailure(req, "INSUFFICIENT_SCOPE");
+    return res.status(403).render("login", { ...LOGIN_VIEW, error: "Only admins can open the dashboard" });
+  }
+  next();
+}
+
+/**
+ * Redirects back to the dashboard with a notice
+ * @param {Object} res - Express response object
+ * @param {string} notice - Key of NOTICES
+ * @param {Object} params - Values the notice message uses, and the user filter to return to
+ */
+function redirectWithNotice(res, notice, params = {}) {
+  const query = new URLSearchParams({ notice, ...params });
+  res.redirect(303, `/admin?${query}`);
+}
+
+/**
+ * Sums stored bytes and files per owner in one pass over the store
+ * @returns {Map<string|null, {bytes: number, files: number}>} - Usage by owner, null for unowned files
+ */
+function getUsageByOwner() {
+  const now = Date.now();
+  const usage = new Map();
+
+  for (const record of fileStore.listUploads()) {
+    if (fileStore.isExpired(record, now)) {
+      continue;
+    }
+    const owner = record.owner || null;
+    const entry = usage.get(owner) || { bytes: 0, files: 0 };
+    entry.bytes += record.size || 0;
+    entry.files++;
+    usage.set(owner, entry);
+  }
+
+  return usage;
+}
+
+/**
+ * Formats an upload record for the dashboard
+ * @param {Object} record - Upload record
+ * @returns {Object} - View data
+ */
+function formatUpload(record) {
+  const type = uploadQuery.getFileType(record);
+  return {
+    name: record.filename,
+    path: `/f/${record.filename}`,
+    preview: thumbnails.isThumbnailable(record) ? `/t/${record.filename}` : type === "image" ? `/f/${record.filename}` : null,
+    type,
+    size: record.size || 0,
+    owner: record.owner || "unowned",
+    createdAt: record.createdAt,
+  };
+}
+
+/**
+ * Sign-in page for admins
+ */
+router.get("/login", (req, res) => {
+  if (req.locals.username && middleware.isAdmin(req.locals.username)) {
+    return res.redirect(303, "/admin");
+  }
+  res.render("login", { ...LOGIN_VIEW });
+});
+
+/**
+ * Exchanges an admin's API key for a session cookie
+ */
+router.post("/login", (req, res) => {
+  const key = req.body?.key;
+  const username = middleware.validateApiKey(key);
+
+  if (!username) {
+    logger.info(`Failed admin sign-in${key ? ` with key ${key.substr(0, 3)}...` : ""}`);
+    auditLog.recordAuthFailure(req, key ? "INVALID_KEY" : "EMPTY_KEY", { key });
+    return res.status(401).render("login", { ...LOGIN_VIEW, error: "Invalid API key" });
+  }
+
+  if (!middleware.isAdmin(username)) {
+    logger.warn(`Refused admin sign-in of ${username}, their key lacks the admin scope`);
+    auditLog.recordAuthFailure(req, "INSUFFICIENT_SCOPE", { key, username });
+    return res.status(403).render("login", { ...LOGIN_VIEW, error: "Only admins can open the dashboard" });
+  }
+
+  const session = sessions.createSession(username, key);
+  sessions.setSessionCookie(req, res, session);
+  logger.info(`${username} signed in to the admin dashboard`);
+
+  res.redirect(303, "/admin");
+});
+
+/**
+ * Ends the browser session
+ */
+router.post("/logout", (req, res) => {
+  if (req.locals.sessionId) {
+    sessions.destroySession(req.locals.sessionId);
+  }
+  sessions.clearSessionCookie(res);
+  res.redirect(303, "/admin/login");
+});
+
+/**
+ * Dashboard: users and their keys, storage, active and recent uploads
+ * ?user= narrows the recent uploads to one user
+ */
+router.get("/", adminRequired, async (req, res) => {
+  try {
+    const keys = await keyManager.listKeys();
+    const usageByOwner = getUsageByOwner();
+    const username = req.locals.username;
+
+    const users = keys.map((row) => {
+      const usage = usageByOwner.get(row.username) || { bytes: 0, files: 0 };
+      // The running scopes include the admin role granted through users.<name>.admin
+      const liveScopes = middleware.getScopes(row.username);
+      return {
+        ...row,
+        urlName: encodeURIComponent(row.username),
+        scopes: (liveScopes.length > 0 ? liveScopes : row.scopes).join(", "),
+        usage,
+        quota: quota.getQuota(row.username),
+        self: row.username === username,
+      };
+    });
+
+    // Files whose owner has no key any more, or never had one, still take up space
+    const orphans = Array.from(usageByOwner.entries())
+      .filter(([owner]) => !keys.some((row) => row.username === owner))
+      .map(([owner, usage]) => ({ owner: owner || "unowned", urlName: owner ? encodeURIComponent(owner) : null, ...usage }));
+
+    const selectedUser = typeof req.query.user === "string" && req.query.user ? req.query.user : null;
+    const records = fileStore.listUploads(selectedUser ? { owner: selectedUser } : {});
+    const recent = uploadQuery.queryUploads(records, uploadQuery.parseQuery({ sort: "date", order: "desc" }).options)
+      .slice(0, RECENT_UPLOADS)
+      .map(formatUpload);
+
+    const notice = NOTICES[req.query.notice];
+
+    res.render("admin", {
+      username,
+      canSignOut: Boolean(req.locals.sessionId),
+      notice: notice ? notice(req.query) : null,
+      users,
+      orphans,
+      active: uploadProgress.listActive(),
+      recent,
+      selectedUser,
+      totalUploads: records.length,
+      destinationTypes: sharexConfig.DESTINATION_TYPES,
+    });
+  } catch (error) {
+    logger.error(`Admin dashboard error: ${error.message}`);
+    res.status(500).send("Internal server error");
+  }
+});
+
+/**
+ * Revokes a user's key and signs them out
+ */
+router.post("/users/:username/revoke", adminRequired, async (req, res) => {
+  const target = req.params.username;
+
+  if (target === req.locals.username) {
+    return redirectWithNotice(res, "own-key");
+  }
+
+  try {
+    await keyManager.revokeKey(target);
+  } catch (error) {
+    if (error.code === "USER_NOT_FOUND") {
+      return redirectWithNotice(res, "not-found", { name: target });
+    }
+    logger.error(`Could not revoke the key of ${target}: ${error.message}`);
+    return redirectWithNotice(res, "revoke-failed", { name: target });
+  }
+
+  await configLoader.reloadConfig();
+  const signedOut = sessions.destroyUserSessions(target);
+  logger.info(`${req.locals.username} revoked the key of ${target} (${signedOut} session(s) ended)`);
+
+  redirectWithNotice(res, "revoked", { name: target });
+});
+
+/**
+ * Issues a user a new key and downloads their ShareX config
+ * Stored keys are hashed, so the config can only carry a new key; the user's previous key stops working,
+ * which the form confirms with rotate=1
+ */
+router.post("/users/:username/config.sxcu", adminRequired, async (req, res) => {
+  const target = req.params.username;
+  const type = req.body?.type || "file";
+
+  if (!sharexConfig.isSupportedType(type)) {
+    return res.status(400).send("Unsupported config type");
+  }
+  if (req.body?.rotate !== "1") {
+    return res.status(400).send("Issuing a config replaces the user's key; confirm it with rotate=1");
+  }
+
+  try {
+    const key = await keyManager.rotateKey(target);
+    await configLoader.reloadConfig();
+    sessions.destroyUserSessions(target);
+    logger.info(`${req.locals.username} issued a new key and ShareX config for ${target}`);
+    auditLog.record(req, "config_download", { type, target, rotated: true });
+
+    const { filename, sxcu } = sharexConfig.buildSharexConfig({ key, type });
+    const buffer = Buffer.from(JSON.stringify(sxcu, null, 2), "utf8");
+
+    res.writeHead(200, {
+      "Content-Type": "application/force-download",
+      "Content-Disposition": `attachment; filename="${target}-${filename}"`,
+      "Content-Length": buffer.length,
+      "Cache-Control": "no-store", // Carries a live API key
+    });
+    res.end(buffer);
+  } catch (error) {
+    if (error.code === "USER_NOT_FOUND") {
+      return redirectWithNotice(res, "not-found", { name: target });
+    }
+    logger.error(`Admin config generation error for ${target}: ${error.message}`);
+    res.status(500).send("Internal server error");
+  }
+});
+
+/**
+ * Deletes the selected uploads
+ */
+router.post("/files/delete", adminRequired, async (req, res) => {
+  const selected = [].concat(req.body?.filenames || []).filter((name) => typeof name === "string");
+  const filter = typeof req.body?.user === "string" && req.body.user ? { user: req.body.user } : {};
+
+  if (selected.length === 0) {
+    return redirectWithNotice(res, "no-files", filter);
+  }
+
+  let deleted = 0;
+  for (const filename of selected.slice(0, MAX_BULK_DELETE)) {
+    const record = fileStore.getUpload(filename);
+    if (!record) {
+      continue;
+    }
+
+    try {
+      await fileStore.deleteUpload(record, `admin ${req.locals.username}`);
+      auditLog.record(req, "delete", { filename, size: record.size, owner: record.owner });
+      metrics.recordDelete(req, "success");
+      deleted++;
+    } catch (error) {
+      logger.error(`Admin delete of ${filename} failed: ${error.message}`);
+      auditLog.record(req, "delete", { outcome: "failure", reason: "SERVER_ERROR", filename, owner: record.owner });
+      metrics.recordDelete(req, "failure");
+    }
+  }
+
+  redirectWithNotice(res, "deleted", { count: deleted, ...filter });
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require("express");
+const router = express.Router();
+const config = require("../config.json");
+const logger = require("silly-logger");
+const response = require("../libs/response.js");
+const middleware = require("../libs/middleware.js");
+const utils = require("../libs/utils.js");
+const fileStore = require("../libs/fileStore.js");
+const thumbnails = require("../libs/thumbnails.js");
+const uploadQuery = require("../libs/uploadQuery.js");
+const auditLog = require("../libs/auditLog.js");
+
+// Constants for better maintainability
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 1000;
+
+/**
+ * Formats an upload record for API responses
+ * @param {Object} record - Upload record
+ * @returns {Object} - Public file data
+ */
+function formatFile(record) {
+  return {
+    filename: record.filename,
+    size: record.size,
+    mimetype: record.mimetype,
+    type: uploadQuery.getFileType(record),
+    sha256: record.sha256 || null,
+    owner: record.owner || null,
+    created_at: record.createdAt,
+    expires_at: record.expiresAt || null,
+    url: config.staticFileServerUrl + record.filename,
+    thumbnail_url: thumbnails.getThumbnailUrl(record),
+  };
+}
+
+/**
+ * Parses the page size
+ * @param {string} value - limit query parameter
+ * @param {number} defaultLimit - Size when no limit is given
+ * @param {number} maxLimit - Largest size allowed
+ * @returns {number|null} - Page size or null if invalid
+ */
+function parseLimit(value, defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE) {
+  if (value === undefined) {
+    return defaultLimit;
+  }
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= maxLimit ? limit : null;
+}
+
+/**
+ * Lists uploads with filters, sorting and cursor pagination
+ * Keys see their own uploads; admins see everyone's and may filter by owner
+ */
+router.get("/files", middleware.requireScope("list"), function (req, res) {
+  try {
+    const username = req.locals.username;
+    const admin = middleware.isAdmin(username);
+
+    const { options, error } = uploadQuery.parseQuery(req.query);
+    if (error) {
+      return response.invalidQuery(res, error);
+    }
+
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return response.invalidQuery(res, `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+
+    if (!admin) {
+      if (options.owner && options.owner !== username) {
+        return response.adminRequired(res);
+      }
+      options.owner = username;
+    }
+
+    const records = uploadQuery.queryUploads(fileStore.listUploads(), options);
+    const page = uploadQuery.paginate(records, options, req.query.cursor || null, limit);
+    if (!page) {
+      return response.invalidQuery(res, "cursor must be a next_cursor value from a previous page");
+    }
+
+    response.sendSuccess(res, {
+      files: page.items.map(formatFile),
+      total: records.length,
+      next_cursor: page.nextCursor,
+    }, "Files");
+
+  } catch (error) {
+    logger.error(`File listing error: ${error.message} (${req.locals?.shortKey || "unknown"})`);
+    response.serverError(res, "Failed to list files");
+  }
+});
+
+/**
+ * Details of one upload
+ */
+router.get("/files/:filename", middleware.requireScope("list"), function (req, res) {
+  try {
+    const filename = utils.validateAndSanitizeFilename(req.params.filename);
+    if (!filename) {
+      return response.fileNameIsEmpty(res);
+    }
+
+    const record = fileStore.getUpload(filename);
+    if (!record || fileStore.isExpired(record)) {
+      return response.fileDoesNotExists(res);
+    }
+
+    const username = req.locals.username;
+    if (record.owner !== username && !middleware.isAdmin(username)) {
+      return response.notFileOwner(res);
+    }
+
+    response.sendSuccess(res, { file: formatFile(record) }, "File");
+
+  } catch (error) {
+    logger.error(`File lookup error: ${error.message} (${req.locals?.shortKey || "unknown"})`);
+    response.serverError(res, "Failed to read file");
+  }
+});
+
+/**
+ * Audit log events, newest first; admins only
+ */
+router.get("/audit", middleware.requireScope("admin"), async function (req, res) {
+  try {
+    for (const name of ["user", "action", "outcome", "from", "to"]) {
+      if (req.query[name] !== undefined && typeof req.query[name] !== "string") {
+        return response.invalidQuery(res, `${name} must be given once`);
+      }
+    }
+
+    const { user, action, outcome } = req.query;
+    if (action && !auditLog.ACTIONS.includes(action)) {
+      return response.invalidQuery(res, `action must be one of ${auditLog.ACTIONS.join(", ")}`);
+    }
+    if (outcome && !auditLog.OUTCOMES.includes(outcome)) {
+      return response.invalidQuery(res, `outcome must be one of ${auditLog.OUTCOMES.join(", ")}`);
+    }
+
+    const { from, to } = uploadQuery.parseDateRange(req.query.from, req.query.to);
+    if ((req.query.from && from === null) || (req.query.to && to === null)) {
+      return response.invalidQuery(res, "from and to must be ISO dates or timestamps in milliseconds");
+    }
+
+    const limit = parseLimit(req.query.limit, DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT);
+    if (limit === null) {
+      return response.invalidQuery(res, `limit must be a whole number from 1 to ${MAX_AUDIT_LIMIT}`);
+    }
+
+    const events = await auditLog.query({ user, action, outcome, from, to }, limit);
+
+    response.sendSuccess(res, { events, count: events.length }, "Audit events");
+
+  } catch (error) {
+    logger.error(`Audit query error: ${error.message} (${req.locals?.shortKey || "unknown"})`);
+    response.serverError(res, "Failed to read the audit log");
+  }
+});
+
+module.exports = router;
@@ -1,80 +1,297 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
 const path = require('path');
 const config = require('../config.json');
-const mime = require('mime-types');
+const logger = require('silly-logger');
+const middleware = require('../libs/middleware.js');
+const auditLog = require('../libs/auditLog.js');
+const fileStore = require('../libs/fileStore.js');
+const thumbnails = require('../libs/thumbnails.js');
+const sessions = require('../libs/sessions.js');
+const userSettings = require('../libs/userSettings.js');
+const uploadQuery = require('../libs/uploadQuery.js');
 
-router.get("/", (req, res) => {
-  const uploadsDir = path.join(__dirname, `../${config.uploadDirectory}`);
-  
+// Constants for better maintainability
+const ALL_USERS = 'all'; // Admin filter value listing every user's uploads
+const DEFAULT_SORT_PRESET = 'newest';
+const LIST_SCOPE_ERROR = "This API key can't list uploads (it lacks the list scope)";
+const LOGIN_VIEW = Object.freeze({ title: 'File Index', action: '/files/login' });
+const SORT_PRESETS = Object.freeze({
+  newest: { label: 'Newest first', sort: 'date', order: 'desc' },
+  oldest: { label: 'Oldest first', sort: 'date', order: 'asc' },
+  largest: { label: 'Largest first', sort: 'size', order: 'desc' },
+  smallest: { label: 'Smallest first', sort: 'size', order: 'asc' }
+});
+const TYPE_OPTIONS = Object.freeze([
+  { value: 'image', label: 'Images' },
+  { value: 'video', label: 'Videos' },
+  { value: 'other', label: 'Other' }
+]);
+
+/**
+ * Exchanges an API key for a session cookie, then redirects
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} key - API key sent by the browser
+ * @param {string} redirectTo - Where to send the browser once it is signed in
+ */
+function signIn(req, res, key, redirectTo) {
+  const username = middleware.validateApiKey(key);
+
+  if (!username) {
+    logger.info(`Failed file index sign-in${key ? ` with key ${key.substr(0, 3)}...` : ''}`);
+    auditLog.recordAuthFailure(req, key ? 'INVALID_KEY' : 'EMPTY_KEY', { key });
+    return res.status(401).render('login', { ...LOGIN_VIEW, error: "Invalid API key" });
+  }
+
+  if (!middleware.hasScope(username, "list")) {
+    logger.info(`Refused file index sign-in of ${username}, their key lacks the list scope`);
+    auditLog.recordAuthFailure(req, 'INSUFFICIENT_SCOPE', { key, username });
+    return res.status(403).render('login', { ...LOGIN_VIEW, error: LIST_SCOPE_ERROR });
+  }
+
+  const session = sessions.createSession(username, key);
+  sessions.setSessionCookie(req, res, session);
+  logger.info(`${username} signed in to the file index`);
+
+  res.redirect(303, redirectTo);
+}
+
+/**
+ * Trades a ?key= on a page view for a session and reloads the page without it,
+ * so the key never ends up in links, browser history or access logs
+ */
+function exchangeQueryKey(req, res, next) {
+  if (req.method !== 'GET' || typeof req.query.key !== 'string') {
+    return next();
+  }
+
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.delete('key');
+  signIn(req, res, req.query.key, url.pathname + url.search);
+}
+
+// Keys in the query string or a session cookie both sign a browser in
+router.use(middleware.keyOptional, middleware.sessionOptional, exchangeQueryKey);
+
+/**
+ * Redirects anonymous visitors to the sign-in page; keys without the list scope are turned away
+ */
+function signInRequired(req, res, next) {
+  if (!req.locals.username) {
+    return res.redirect(303, "/files/login");
+  }
+  if (!middleware.hasScope(req.locals.username, "list")) {
+    return res.status(403).render('login', { ...LOGIN_VIEW, error: LIST_SCOPE_ERROR });
+  }
+  next();
+}
+
+/**
+ * Reads the search, type, date and sort controls from the query string
+ * @param {Object} query - Express query object
+ * @returns {Object} - Filter values as strings, empty when unset
+ */
+function getFilterValues(query) {
+  const value = (name) => typeof query[name] === 'string' ? query[name].trim() : '';
+  const sort = value('sort');
+
+  return {
+    q: value('q'),
+    type: value('type'),
+    from: value('from'),
+    to: value('to'),
+    sort: SORT_PRESETS[sort] ? sort : DEFAULT_SORT_PRESET
+  };
+}
+
+/**
+ * Renders a paginated listing of upload records
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Array<Object>} records - Upload records to list
+ * @param {Object} view - Extra view data (heading, toolbar state)
+ * @param {Object} selectionParams - Query parameters that select the records, kept in every link
+ */
+function renderIndex(req, res, records, view, selectionParams = {}) {
   // Get pagination parameters from query string
   const page = parseInt(req.query.page) || 1;
   const itemsPerPage = config.pagination?.itemsPerPage || 12; // Default to 12 items per page
   
-  // Read the uploads directory
-  fs.readdir(uploadsDir, (err, files) => {
-      if (err) {
-          console.error('Error reading uploads directory:', err);
-          return res.status(500).render('error', { message: 'Error reading files' });
-      }
-      
-      // Process each file to determine its type
-      const allFiles = files
-          .filter(file => {
-              // Skip directories/subfolders
-              const filePath = path.join(uploadsDir, file);
-              const isDirectory = fs.statSync(filePath).isDirectory();
-              if (isDirectory) return false;
-              
-              // Check file extensions if enabled
-              if (config.fileExtensionCheck && config.fileExtensionCheck.enabled) {
-                  const extension = path.extname(file).toLowerCase();
-                  return config.fileExtensionCheck.extensionsAllowed.includes(extension);
-              }
-              return true; // Include all files if extension check is disabled
-          })
-          .map(file => {
-              const filePath = path.join(uploadsDir, file);
-              const stats = fs.statSync(filePath);
-              
-              let fileType = 'other';
-              const mimeType = mime.lookup(file) || 'application/octet-stream';
-              
-              if (mimeType.startsWith('image/')) {
-                  fileType = 'image';
-              } else if (mimeType.startsWith('video/')) {
-                  fileType = 'video';
-              }
-              
-              return {
-                  name: file,
-                  path: `/f/${file}`,
-                  size: humanReadableSize(stats.size),
-                  type: fileType,
-                  date: stats.mtime.toLocaleDateString()
-              };
-          });
-      
-      // Calculate pagination values
-      const totalFiles = allFiles.length;
-      const totalPages = Math.ceil(totalFiles / itemsPerPage);
-      const currentPage = Math.min(Math.max(1, page), totalPages || 1);
-      const startIndex = (currentPage - 1) * itemsPerPage;
-      const endIndex = startIndex + itemsPerPage;
-      
-      // Get files for current page
-      const paginatedFiles = allFiles.slice(startIndex, endIndex);
-      
-      res.render('fileIndex', { 
-          files: paginatedFiles,
-          pagination: {
-              currentPage,
-              totalPages,
-              hasNextPage: currentPage < totalPages,
-              hasPrevPage: currentPage > 1
+  // Apply the search, type, date range and sort controls
+  const filters = getFilterValues(req.query);
+  const preset = SORT_PRESETS[filters.sort];
+  const parsed = uploadQuery.parseQuery({
+    q: filters.q,
+    type: filters.type,
+    from: filters.from,
+    to: filters.to,
+    sort: preset.sort,
+    order: preset.order
+  });
+  // Invalid controls are reported and ignored rather than emptying the listing
+  const options = parsed.options || uploadQuery.parseQuery({ sort: preset.sort, order: preset.order }).options;
+  
+  // Process each recorded upload to determine its type
+  const allFiles = uploadQuery.queryUploads(records, options)
+      .filter(record => {
+          // Check file extensions if enabled
+          if (config.fileExtensionCheck && config.fileExtensionCheck.enabled) {
+              const extension = path.extname(record.filename).toLowerCase();
+              return config.fileExtensionCheck.extensionsAllowed.includes(extension);
           }
-      });
+          return true; // Include all files if extension check is disabled
+      })
+      .map(record => ({
+          name: record.filename,
+          path: `/f/${record.filename}`,
+          thumbnail: thumbnails.isThumbnailable(record) ? `/t/${record.filename}` : null,
+          size: humanReadableSize(record.size),
+          type: uploadQuery.getFileType(record),
+          owner: record.owner,
+          date: new Date(record.createdAt).toLocaleDateString()
+      }));
+  
+  // Calculate pagination values
+  const totalFiles = allFiles.length;
+  const totalPages = Math.ceil(totalFiles / itemsPerPage);
+  const currentPage = Math.min(Math.max(1, page), totalPages || 1);
+  const startIndex = (currentPage - 1) * itemsPerPage;
+  const endIndex = startIndex + itemsPerPage;
+  
+  // Get files for current page
+  const paginatedFiles = allFiles.slice(startIndex, endIndex);
+  
+  // Pagination links keep the selection and every active control
+  const linkParams = new URLSearchParams(selectionParams);
+  for (const [name, value] of Object.entries(filters)) {
+    if (value && !(name === 'sort' && value === DEFAULT_SORT_PRESET)) {
+      linkParams.set(name, value);
+    }
+  }
+  const baseQuery = linkParams.toString();
+  const filterAction = req.baseUrl + (req.path === '/' ? '' : req.path);
+  const selection = new URLSearchParams(selectionParams).toString();
+  
+  res.render('fileIndex', {
+      ...view,
+      files: paginatedFiles,
+      totalFiles,
+      filters,
+      filterError: parsed.error,
+      filterAction,
+      clearUrl: selection ? `${filterAction}?${selection}` : filterAction,
+      filterParams: Object.entries(selectionParams).map(([name, value]) => ({ name, value })),
+      typeOptions: [{ value: '', label: 'All types' }, ...TYPE_OPTIONS].map(option => ({
+          ...option,
+          selected: option.value === filters.type
+      })),
+      sortOptions: Object.entries(SORT_PRESETS).map(([value, { label }]) => ({
+          value,
+          label,
+          selected: value === filters.sort
+      })),
+      pagination: {
+          currentPage,
+          totalPages,
+          hasNextPage: currentPage < totalPages,
+          hasPrevPage: currentPage > 1,
+          baseQuery: baseQuery ? `${baseQuery}&` : ''
+      }
+  });
+}
+
+/**
+ * Sign-in page for browsers
+ */
+router.get("/login", (req, res) => {
+  if (req.locals.username) {
+    return res.redirect(303, "/files");
+  }
+  res.render('login', { ...LOGIN_VIEW });
+});
+
+/**
+ * Exchanges an API key for a session cookie
+ */
+router.post("/login", (req, res) => {
+  signIn(req, res, req.body?.key, "/files");
+});
+
+/**
+ * Ends the browser session
+ */
+router.post("/logout", (req, res) => {
+  if (req.locals.sessionId) {
+    sessions.destroySession(req.locals.sessionId);
+  }
+  sessions.clearSessionCookie(res);
+  res.redirect(303, "/files/login");
+});
+
+/**
+ * Turns the caller's public gallery on or off
+ */
+router.post("/gallery", signInRequired, async (req, res) => {
+  try {
+    const publicGallery = req.body?.public === 'true';
+    await userSettings.updateSettings(req.locals.username, { publicGallery });
+    logger.info(`${req.locals.username} turned their public gallery ${publicGallery ? 'on' : 'off'}`);
+    res.redirect(303, "/files");
+  } catch (error) {
+    logger.error(`Failed to update gallery setting for ${req.locals.username}: ${error.message}`);
+    res.status(500).send("Internal server error");
+  }
+});
+
+/**
+ * The caller's own uploads; admins can list another user's or everyone's with ?user=
+ */
+router.get("/", signInRequired, (req, res) => {
+  const username = req.locals.username;
+  const admin = middleware.isAdmin(username);
+  const requestedUser = admin && typeof req.query.user === 'string' ? req.query.user : null;
+
+  let records;
+  let heading;
+  if (requestedUser === ALL_USERS) {
+    records = fileStore.listUploads();
+    heading = "All uploads";
+  } else if (requestedUser) {
+    records = fileStore.listUploads({ owner: requestedUser });
+    heading = `Uploads by ${requestedUser}`;
+  } else {
+    records = fileStore.listUploads({ owner: username });
+    heading = "Your uploads";
+  }
+
+  renderIndex(req, res, records, {
+    heading,
+    username,
+    admin,
+    showOwner: admin && Boolean(requestedUser),
+    publicGallery: userSettings.hasPublicGallery(username),
+    galleryUrl: `/files/u/${encodeURIComponent(username)}`,
+    canSignOut: Boolean(req.locals.sessionId)
+  }, requestedUser ? { user: requestedUser } : {});
+});
+
+/**
+ * A user's public gallery, visible to anyone once they have turned it on
+ */
+router.get("/u/:username", (req, res) => {
+  const owner = req.params.username;
+  const viewer = req.locals.username;
+  const allowed = userSettings.hasPublicGallery(owner) || viewer === owner || middleware.isAdmin(viewer);
+
+  // Private galleries look the same as users that don't exist
+  if (!allowed) {
+    return res.status(404).send("Gallery not found");
+  }
+
+  renderIndex(req, res, fileStore.listUploads({ owner }), {
+    heading: `${owner}'s gallery`,
+    gallery: true
   });
 });
 
@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const logger = require("silly-logger");
+const response = require("../libs/response.js");
+const health = require("../libs/health.js");
+
+// Messages for each readiness status
+const READINESS_MESSAGES = Object.freeze({
+  ready: "Ready",
+  not_ready: "Not ready",
+  draining: "Shutting down",
+});
+
+/**
+ * Liveness: the process is up and answering requests
+ */
+router.get("/healthz", function (req, res) {
+  response.health(res, true, { status: "ok", uptime: Math.floor(process.uptime()) }, "Alive");
+});
+
+/**
+ * Readiness: uploads can succeed (writable upload directory, free disk space, valid config)
+ */
+router.get("/readyz", async function (req, res) {
+  try {
+    const { ready, status, checks } = await health.getReadiness();
+    response.health(res, ready, { status, checks }, READINESS_MESSAGES[status]);
+  } catch (error) {
+    logger.error(`Readiness check error: ${error.message}`);
+    response.health(res, false, { status: "not_ready", checks: {} }, READINESS_MESSAGES.not_ready);
+  }
+});
+
+module.exports = router;
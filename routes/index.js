@@ -1,16 +1,32 @@
 const express = require("express");
 const router = express.Router();
 const fs = require("fs").promises;
-const fsSync = require("fs");
 const path = require("path");
 const config = require("../config.json");
 const logger = require("silly-logger");
 const response = require("../libs/response.js");
 const middleware = require("../libs/middleware.js");
+const auditLog = require("../libs/auditLog.js");
+const metrics = require("../libs/metrics.js");
 const multer = require("multer");
 const randomString = require("random-string");
 const { format } = require("date-fns");
 const { handleLargeUpload } = require("../libs/handleLargeFile.js");
+const fileStore = require("../libs/fileStore.js");
+const pasteStore = require("../libs/pasteStore.js");
+const utils = require("../libs/utils.js");
+const { createHashingStorage } = require("../libs/hashingStorage.js");
+const expiry = require("../libs/expiry.js");
+const quota = require("../libs/quota.js");
+const sharexConfig = require("../libs/sharexConfig.js");
+const { finalizeUpload } = require("../libs/uploadFinalizer.js");
+const uploadProgress = require("../libs/uploadProgress.js");
+const thumbnails = require("../libs/thumbnails.js");
+const httpCache = require("../libs/httpCache.js");
+const fileServer = require("../libs/fileServer.js");
+const configLoader = require("../libs/configLoader.js");
+const keyManager = require("../libs/keyManager.js");
+const sessions = require("../libs/sessions.js");
 
 // Constants for better maintainability
 const CONTENT_TYPES = Object.freeze({
@@ -26,8 +42,7 @@ const CONTENT_TYPES = Object.freeze({
   ".avif": "image/avif",
 });
 
-const VIDEO_EXTENSIONS = Object.freeze([".mp4", ".webm", ".m4v", ".mkv"]);
-const SUPPORTED_EXTENSIONS = Object.freeze(Object.keys(CONTENT_TYPES));
+const INLINE_CONTENT_TYPES = Object.freeze(Object.values(CONTENT_TYPES));
 
 /**
  * Validates and sanitizes filename to prevent path traversal attacks
@@ -51,9 +66,9 @@ function validateAndSanitizeFilename(filename) {
 }
 
 /**
- * Multer storage configuration with enhanced security
+ * Multer storage configuration with enhanced security, hashing files as they stream to disk
  */
-const storage = multer.diskStorage({
+const storage = createHashingStorage({
   destination: function (req, file, cb) {
     cb(null, config.uploadDirectory);
   },
@@ -68,12 +83,34 @@ const storage = multer.diskStorage({
       cb(error);
     }
   },
+  // Byte budget left in the uploader's quota, set by the file filter
+  limit: function (req) {
+    return req.locals?.uploadByteBudget ?? null;
+  },
+  limitError: quota.quotaExceededError,
+  progress: function (req, bytes) {
+    uploadProgress.reportProgress(req.locals?.uploadId, bytes);
+  },
 });
 
 /**
  * Enhanced file filter with better validation
  */
 const fileFilter = function (req, file, cb) {
+  // Fields sent before the file are already parsed, so quotas apply before bytes hit disk
+  const username = middleware.authenticateBodyKey(req);
+  if (username) {
+    if (!middleware.hasScope(username, "upload")) {
+      return cb(middleware.insufficientScopeError("upload"), false);
+    }
+    uploadProgress.setOwner(req.locals.uploadId, username, req.locals.fullKey);
+    const { allowed, remainingBytes } = quota.checkIncomingUpload(req, username);
+    if (!allowed) {
+      return cb(quota.quotaExceededError(), false);
+    }
+    req.locals.uploadByteBudget = remainingBytes;
+  }
+
   if (!config.fileExtensionCheck.enabled) {
     return cb(null, true);
   }
@@ -92,28 +129,100 @@ const fileFilter = function (req, file, cb) {
 
 /**
  * Multer upload configuration with enhanced limits
+ * @returns {Object} - Multer instance using the current size limit
  */
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: config.fileSizeLimit,
-    files: 1, // Only allow single file uploads
-    fields: 10, // Limit number of fields
-  },
-  fileFilter: fileFilter,
+function createUpload() {
+  return multer({
+    storage: storage,
+    limits: {
+      fileSize: config.fileSizeLimit,
+      files: 1, // Only allow single file uploads
+      fields: 10, // Limit number of fields
+    },
+    fileFilter: fileFilter,
+  });
+}
+
+// Rebuilt on config reload; uploads already being parsed keep their limits
+let upload = createUpload();
+configLoader.onReload(() => {
+  upload = createUpload();
 });
 
+/**
+ * Multipart parsing for regular uploads, skipped when the streaming handler already stored the file
+ */
+const parseUpload = function (req, res, next) {
+  if (req.file) {
+    return next();
+  }
+  upload.single("file")(req, res, next);
+};
+
+/**
+ * Registers the upload for WebSocket progress tracking under a client-supplied or server-issued ID
+ */
+const trackUpload = function (req, res, next) {
+  const uploadId = uploadProgress.resolveUploadId(req);
+  const startedAt = Date.now();
+  req.locals.uploadId = uploadId;
+  res.setHeader("X-Upload-Id", uploadId);
+
+  uploadProgress.startUpload(uploadId, {
+    total: parseInt(req.headers["content-length"], 10),
+    username: req.locals.username,
+    key: req.locals.fullKey,
+  });
+
+  // Small uploads go through multer unless handleLargeUpload took the request
+  const recordMetrics = (outcome) => metrics.recordUpload({
+    outcome,
+    user: req.locals.username,
+    handler: req.locals.uploadHandler || "multer",
+    size: req.file?.size,
+    seconds: (Date.now() - startedAt) / 1000,
+  });
+
+  // Every rejection, error response or dropped connection ends tracking as failed
+  res.on("finish", () => {
+    if (res.statusCode >= 400) {
+      uploadProgress.markFailed(uploadId, `Upload failed (HTTP ${res.statusCode})`);
+    }
+    recordMetrics(metrics.getOutcome(res.statusCode));
+  });
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      uploadProgress.markFailed(uploadId, "Connection closed");
+      recordMetrics("failure");
+    }
+  });
+
+  next();
+};
+
 /**
  * Enhanced file serving route with better security and performance
  */
 router.get("/f/:filename", async function (req, res) {
+  let record = null;
+  res.on("close", () => metrics.recordDownload(res.statusCode, record?.owner));
+
   try {
     const filename = validateAndSanitizeFilename(req.params.filename);
     if (!filename) {
       return res.status(400).send("Invalid filename");
     }
 
-    const filePath = path.join(config.uploadDirectory, filename);
+    // Deduplicated uploads share their bytes with another stored file
+    record = fileStore.getUpload(filename);
+
+    // Expired uploads are gone even before the reaper removes them
+    if (record && fileStore.isExpired(record)) {
+      return res.status(response.HTTP_STATUS.GONE).send("File has expired");
+    }
+    const filePath = record
+      ? fileStore.getStoredPath(record)
+      : path.join(config.uploadDirectory, filename);
     
     // Security check: ensure the resolved path is within upload directory
     const resolvedPath = path.resolve(filePath);
@@ -130,38 +239,34 @@ router.get("/f/:filename", async function (req, res) {
     }
 
     const stat = await fs.stat(filePath);
-    const fileSize = stat.size;
     const ext = path.extname(filename).toLowerCase();
 
+    // Recorded uploads are served as their sniffed type, unknown files by extension
+    const contentType = record ? record.mimetype : CONTENT_TYPES[ext];
+
     // Set security headers
     res.setHeader('X-Content-Type-Options', 'nosniff');
     res.setHeader('X-Frame-Options', 'DENY');
 
-    // Handle video files with range support
-    if (VIDEO_EXTENSIONS.includes(ext)) {
-      return handleVideoFile(req, res, filePath, fileSize, ext);
-    } 
-    
-    // Handle images and other supported files
-    if (CONTENT_TYPES[ext]) {
-      res.setHeader("Content-Type", CONTENT_TYPES[ext]);
-      res.setHeader("Content-Length", fileSize);
-      res.setHeader("Content-Disposition", "inline");
-      res.setHeader("Cache-Control", "public, max-age=31536000"); // 1 year cache
-      
-      const readStream = fsSync.createReadStream(filePath);
-      readStream.on('error', (err) => {
-        logger.error(`Error streaming file ${filename}: ${err.message}`);
-        if (!res.headersSent) {
-          res.status(500).send("Error reading file");
-        }
-      });
-      
-      return readStream.pipe(res);
+    // Revalidations are answered from the validators alone, without touching the file's bytes
+    const validators = httpCache.getValidators(record, stat);
+    httpCache.setValidators(res, validators);
+    res.setHeader("Cache-Control", httpCache.getCacheControl(record));
+
+    if (req.fresh) {
+      return res.status(304).end();
     }
-    
-    // For unsupported files, send as download
-    res.download(filePath);
+
+    // Images and videos play inline; everything else is sent as a download
+    const inline = INLINE_CONTENT_TYPES.includes(contentType);
+    fileServer.serveFile(req, res, {
+      filePath,
+      size: stat.size,
+      contentType: contentType || "application/octet-stream",
+      validators,
+      downloadName: inline ? null : filename,
+      onBytesSent: metrics.countServedBytes,
+    });
     
   } catch (error) {
     logger.error(`Error serving file ${req.params.filename}: ${error.message}`);
@@ -172,97 +277,97 @@ router.get("/f/:filename", async function (req, res) {
 });
 
 /**
- * Handle video file streaming with range support
+ * Thumbnail route, generating thumbnails on first request for files uploaded before they existed
  */
-function handleVideoFile(req, res, filePath, fileSize, ext) {
-  const range = req.headers.range;
-  const contentType = CONTENT_TYPES[ext];
-
-  if (range) {
-    const parts = range.replace(/bytes=/, "").split("-");
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-    
-    // Validate range
-    if (start >= fileSize || end >= fileSize || start > end) {
-      res.status(416).setHeader('Content-Range', `bytes */${fileSize}`);
-      return res.end();
+router.get("/t/:filename", async function (req, res) {
+  try {
+    const filename = validateAndSanitizeFilename(req.params.filename);
+    if (!filename) {
+      return res.status(400).send("Invalid filename");
     }
-    
-    const chunksize = end - start + 1;
-    const file = fsSync.createReadStream(filePath, { start, end });
-
-    const headers = {
-      "Content-Range": `bytes ${start}-${end}/${fileSize}`,
-      "Accept-Ranges": "bytes",
-      "Content-Length": chunksize,
-      "Content-Type": contentType,
-      "Content-Disposition": "inline",
-      "Cache-Control": "public, max-age=31536000",
-    };
-
-    res.writeHead(206, headers);
-    file.on('error', (err) => {
-      logger.error(`Error streaming video file: ${err.message}`);
-      if (!res.headersSent) {
-        res.status(500).end();
-      }
-    });
-    file.pipe(res);
-  } else {
-    const headers = {
-      "Content-Length": fileSize,
-      "Content-Type": contentType,
-      "Accept-Ranges": "bytes",
-      "Content-Disposition": "inline",
-      "Cache-Control": "public, max-age=31536000",
-    };
-
-    res.writeHead(200, headers);
-    const readStream = fsSync.createReadStream(filePath);
-    readStream.on('error', (err) => {
-      logger.error(`Error streaming video file: ${err.message}`);
-      if (!res.headersSent) {
-        res.status(500).end();
-      }
+
+    const record = fileStore.getUpload(filename);
+    if (!record) {
+      return res.status(404).send("File not found");
+    }
+
+    if (fileStore.isExpired(record)) {
+      return res.status(response.HTTP_STATUS.GONE).send("File has expired");
+    }
+
+    if (!thumbnails.isThumbnailable(record)) {
+      return res.status(404).send("No thumbnail for this file");
+    }
+
+    const thumbnailPath = await thumbnails.getThumbnail(record, fileStore.getStoredPath(record));
+    const stat = await fs.stat(thumbnailPath);
+    const validators = httpCache.getValidators(null, stat);
+
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", `public, max-age=${httpCache.MAX_CACHE_AGE}, immutable`); // Stored content never changes
+    httpCache.setValidators(res, validators);
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    fileServer.serveFile(req, res, {
+      filePath: thumbnailPath,
+      size: stat.size,
+      contentType: thumbnails.THUMBNAIL_MIME_TYPE,
+      validators,
     });
-    readStream.pipe(res);
+    
+  } catch (error) {
+    logger.error(`Error serving thumbnail ${req.params.filename}: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).send("Internal server error");
+    }
   }
-}
+});
 
 /**
  * Enhanced upload route with better error handling and validation
  */
 router.post(
   "/upload",
-  middleware.keyRequired,
+  middleware.requireScope("upload"),
+  trackUpload,
   handleLargeUpload,
-  upload.single("file"),
-  async function (req, res) {
+  parseUpload,
+  async function (req, res, next) {
     try {
       // Validate authentication
-      if (!req.locals || !req.locals.username) {
-        const key = req.body.key;
+      if (!middleware.authenticateBodyKey(req)) {
+        // Never keep bytes from an unauthenticated upload
+        if (req.file) {
+          await utils.safeDeleteFile(req.file.path);
+        }
         
+        const key = req.body.key;
         if (key) {
-          const username = middleware.keyToUsername[key];
-          if (!username) {
-            logger.info(`Failed authentication with key ${key.substr(0, 3)}...`);
-            return response.invalidKey(res);
-          }
-          
-          req.locals = req.locals || {};
-          req.locals.shortKey = key.substr(0, 3) + '...';
-          req.locals.username = username;
-        } else {
-          logger.info('No key provided in request body');
-          return response.emptyKey(res);
+          logger.info(`Failed authentication with key ${key.substr(0, 3)}...`);
+          auditLog.recordAuthFailure(req, "INVALID_KEY", { key });
+          return response.invalidKey(res);
         }
+        
+        logger.info('No key provided in request body');
+        auditLog.recordAuthFailure(req, "EMPTY_KEY");
+        return response.emptyKey(res);
+      }
+
+      // Keys sent after the file are only known now
+      if (!middleware.hasScope(req.locals.username, "upload")) {
+        if (req.file) {
+          await utils.safeDeleteFile(req.file.path);
+        }
+        return next(middleware.insufficientScopeError("upload"));
       }
 
       // Validate file upload
       if (!req.file) {
         logger.info(`No file was sent, aborting... (${req.locals?.shortKey || "unknown"})`);
+        auditLog.record(req, "upload", { outcome: "failure", reason: "NO_FILE" });
         return response.noFileUploaded(res);
       }
 
@@ -270,15 +375,34 @@ router.post(
       const shortKey = req.locals?.shortKey || "unknown";
 
       logger.info(`Uploaded file ${originalname} to ${filePath} (${shortKey})`);
+      uploadProgress.setOwner(req.locals.uploadId, req.locals.username, req.locals.fullKey);
+      uploadProgress.markProcessing(req.locals.uploadId);
+
+      // Quota, expiry, deduplication and metadata (quota is re-checked with the real size)
+      const { record, fileUrl, deleteUrl } = await finalizeUpload({
+        filename,
+        filePath,
+        originalName: originalname,
+        size: req.file.size,
+        mimetype: req.file.mimetype,
+        sha256: req.file.sha256,
+        username: req.locals.username,
+        shortKey,
+        requestedExpiry: expiry.extractRequestedExpiry(req)
+      });
 
-      // Generate response URLs
-      const fileUrl = config.staticFileServerUrl + filename;
-      const deleteUrl = `${config.serverUrl}/delete?filename=${encodeURIComponent(filename)}&key=${encodeURIComponent(req.body.key)}`;
-
-      response.uploaded(res, fileUrl, deleteUrl);
+      uploadProgress.markDone(req.locals.uploadId, fileUrl);
+      auditLog.record(req, "upload", { filename: record.filename, size: record.size });
+      response.uploaded(res, fileUrl, deleteUrl, { expires_at: record.expiresAt });
       
     } catch (error) {
+      // Rejections from finalizeUpload are answered by the error handler below
+      if (error.code) {
+        return next(error);
+      }
+      
       logger.error(`Upload error: ${error.message} (${req.locals?.shortKey || "unknown"})`);
+      auditLog.record(req, "upload", { outcome: "failure", reason: "SERVER_ERROR", filename: req.file?.filename });
       res.status(500).json({
         success: false,
         error: { message: "Internal server error" }
@@ -288,17 +412,44 @@ router.post(
   function (err, req, res, next) {
     const shortKey = req.locals?.shortKey || "unknown";
     
+    // A key without the upload scope is an authentication failure; everything else a rejected upload
+    if (err.code === "INSUFFICIENT_SCOPE") {
+      auditLog.recordAuthFailure(req, err.code);
+    } else {
+      auditLog.record(req, "upload", { outcome: "failure", reason: err.code || "SERVER_ERROR", filename: req.file?.filename });
+    }
+    
     // Handle specific error types
     if (err.code === "INVALID_FILE_EXTENSION") {
       logger.info(`File has an invalid extension, aborting... (${shortKey})`);
       return response.invalidFileExtension(res);
     }
     
+    if (err.code === "CONTENT_MISMATCH") {
+      logger.info(`File content does not match its extension, aborting... (${shortKey})`);
+      return response.contentMismatch(res);
+    }
+    
     if (err.code === "LIMIT_FILE_SIZE") {
       logger.info(`File exceeds size limit, aborting... (${shortKey})`);
       return response.fileTooLarge(res);
     }
     
+    if (err.code === "QUOTA_EXCEEDED") {
+      logger.info(`Upload exceeds storage quota, aborting... (${shortKey})`);
+      return response.quotaExceeded(res);
+    }
+    
+    if (err.code === "INVALID_EXPIRY") {
+      logger.info(`Invalid expiry requested, aborting... (${shortKey})`);
+      return response.invalidExpiry(res);
+    }
+    
+    if (err.code === "INSUFFICIENT_SCOPE") {
+      logger.info(`Key lacks the ${err.scope} scope, aborting... (${shortKey})`);
+      return response.insufficientScope(res, err.scope);
+    }
+    
     if (err.code === "LIMIT_UNEXPECTED_FILE") {
       logger.info(`Unexpected file field, aborting... (${shortKey})`);
       return response.noFileUploaded(res);
@@ -313,44 +464,45 @@ router.post(
 );
 
 /**
- * Enhanced delete route with better validation and error handling
+ * Delete route for owners, authenticated with the uploader's API key
+ * Keys with the delete-any scope may delete anyone's uploads
  */
-router.get("/delete", middleware.keyRequired, async function (req, res) {
+router.get("/delete", middleware.requireScope("delete-own", "delete-any"), async function (req, res) {
   try {
     const filename = validateAndSanitizeFilename(req.query.filename);
     if (!filename) {
-      return response.responseFileNameIsEmpty(res);
+      return response.fileNameIsEmpty(res);
     }
 
-    const filePath = path.join(config.uploadDirectory, filename);
     const shortKey = req.locals?.shortKey || "unknown";
-
-    // Security check: ensure the resolved path is within upload directory
-    const resolvedPath = path.resolve(filePath);
-    const uploadDir = path.resolve(config.uploadDirectory);
-    if (!resolvedPath.startsWith(uploadDir)) {
-      logger.warn(`Path traversal attempt detected: ${filename} (${shortKey})`);
-      return response.fileDoesNotExists(res);
-    }
-
     logger.info(`Trying to delete ${filename} (${shortKey})`);
 
-    // Check if file exists
-    try {
-      await fs.access(filePath);
-    } catch {
+    const record = fileStore.getUpload(filename);
+    if (!record) {
       logger.info(`File ${filename} doesn't exist, aborting... (${shortKey})`);
+      auditLog.record(req, "delete", { outcome: "failure", reason: "FILE_NOT_FOUND", filename });
+      metrics.recordDelete(req, "failure");
       return response.fileDoesNotExists(res);
     }
 
-    // Delete file
-    await fs.unlink(filePath);
-    logger.info(`Deleted file ${filename} (${shortKey})`);
+    // Without delete-any, keys may only delete their own uploads
+    const username = req.locals.username;
+    if (record.owner !== username && !middleware.hasScope(username, "delete-any")) {
+      logger.warn(`Refusing to delete ${filename} owned by ${record.owner || "nobody"} (${shortKey})`);
+      auditLog.record(req, "delete", { outcome: "failure", reason: "NOT_FILE_OWNER", filename, owner: record.owner });
+      metrics.recordDelete(req, "failure");
+      return response.notFileOwner(res);
+    }
+
+    await fileStore.deleteUpload(record, shortKey);
+    auditLog.record(req, "delete", { filename, size: record.size, owner: record.owner });
+    metrics.recordDelete(req, "success");
     response.deleted(res, filename);
     
   } catch (error) {
     const shortKey = req.locals?.shortKey || "unknown";
     logger.error(`Delete error: ${error.message} (${shortKey})`);
+    metrics.recordDelete(req, "failure");
     res.status(500).json({
       success: false,
       error: { message: "Failed to delete file" }
@@ -359,9 +511,114 @@ router.get("/delete", middleware.keyRequired, async function (req, res) {
 });
 
 /**
- * Enhanced config route with better validation
+ * Finds the upload or paste a deletion token was issued for
+ * @param {string} token - Deletion token from a delete URL
+ * @returns {{upload: Object|null, paste: Object|null, name: string|null}} - name is null if the token is unknown
  */
-router.get("/config.sxcu", middleware.keyRequired, function (req, res) {
+function findDeletionTarget(token) {
+  const upload = fileStore.findByDeleteToken(token);
+  const paste = upload ? null : pasteStore.findByDeleteToken(token);
+  return { upload, paste, name: upload?.filename || paste?.id || null };
+}
+
+/**
+ * Renders the deletion page for browsers; other clients get the JSON response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} view - View data (name, kind, deleted)
+ * @param {Function} sendJson - Sends the JSON response
+ */
+function sendDeletionResult(req, res, view, sendJson) {
+  if (req.accepts(["json", "html"]) !== "html") {
+    return sendJson();
+  }
+  res.setHeader("Cache-Control", "no-store");
+  res.status(view.name ? 200 : 404).render("delete", view);
+}
+
+/**
+ * Confirmation page for deletion links, no API key required
+ * Only the POST deletes, so chat link previews, crawlers and browser prefetch can open the link safely
+ */
+router.get("/delete/:token", function (req, res) {
+  const { paste, name } = findDeletionTarget(req.params.token);
+
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("X-Robots-Tag", "noindex");
+  res.status(name ? 200 : 404).render("delete", {
+    name,
+    kind: paste ? "paste" : "file",
+    action: `/delete/${encodeURIComponent(req.params.token)}`
+  });
+});
+
+/**
+ * Deletes the upload or paste a deletion token was issued for, no API key required
+ */
+router.post("/delete/:token", async function (req, res) {
+  try {
+    const { upload, paste, name } = findDeletionTarget(req.params.token);
+
+    if (paste) {
+      await pasteStore.deletePaste(paste, "deletion token");
+      auditLog.record(req, "delete", { paste: paste.id, size: paste.size, owner: paste.owner });
+      metrics.recordDelete(req, "success");
+      return sendDeletionResult(req, res, { name, kind: "paste", deleted: true }, () => response.deleted(res, name));
+    }
+
+    if (!upload) {
+      logger.info("Deletion token doesn't match any upload, aborting...");
+      auditLog.record(req, "delete", { outcome: "failure", reason: "FILE_NOT_FOUND" });
+      metrics.recordDelete(req, "failure");
+      return sendDeletionResult(req, res, { name }, () => response.fileDoesNotExists(res));
+    }
+
+    await fileStore.deleteUpload(upload, "deletion token");
+    auditLog.record(req, "delete", { filename: upload.filename, size: upload.size, owner: upload.owner });
+    metrics.recordDelete(req, "success");
+    sendDeletionResult(req, res, { name, kind: "file", deleted: true }, () => response.deleted(res, name));
+    
+  } catch (error) {
+    logger.error(`Delete error: ${error.message} (deletion token)`);
+    metrics.recordDelete(req, "failure");
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to delete file" }
+    });
+  }
+});
+
+/**
+ * Storage usage and quota for the calling key
+ */
+router.get("/usage", middleware.requireScope("list"), function (req, res) {
+  try {
+    const username = req.locals.username;
+    const { usage, quota: limits, remainingBytes } = quota.checkQuota(username);
+
+    response.sendSuccess(res, {
+      username,
+      usage,
+      quota: limits,
+      remaining: {
+        bytes: remainingBytes,
+        files: limits.maxFiles === null ? null : Math.max(0, limits.maxFiles - usage.files)
+      }
+    }, "Storage usage");
+    
+  } catch (error) {
+    logger.error(`Usage error: ${error.message} (${req.locals?.shortKey || "unknown"})`);
+    response.serverError(res, "Failed to read storage usage");
+  }
+});
+
+/**
+ * Sends a ShareX config for the authenticated key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} rotate - Issue a new key for the config; the key used for the request stops working
+ */
+async function sendSharexConfig(req, res, rotate) {
   try {
     // Double-check authentication and get username
     let username = req.locals?.username;
@@ -379,45 +636,57 @@ router.get("/config.sxcu", middleware.keyRequired, function (req, res) {
           req.locals = req.locals || {};
           req.locals.username = username;
           req.locals.shortKey = key.substr(0, 3) + '...';
+          req.locals.fullKey = key;
         }
       }
     }
     
     if (!username) {
       logger.info('Config request without valid username');
+      auditLog.recordAuthFailure(req, "INVALID_KEY");
       return response.invalidKey(res);
     }
 
-    // Verify the username exists in config
-    if (!config.keys || typeof config.keys !== 'object') {
-      logger.error('Config keys not properly configured');
-      return response.serverError(res, 'Server configuration error');
+    // Destination type (file uploads by default, text for pastes, url for the shortener)
+    const type = req.query.type || 'file';
+    if (!sharexConfig.isSupportedType(type)) {
+      return response.sendError(
+        res,
+        response.HTTP_STATUS.BAD_REQUEST,
+        "Unsupported config type",
+        `Use one of: ${sharexConfig.DESTINATION_TYPES.join(', ')}`,
+        "INVALID_CONFIG_TYPE"
+      );
     }
 
-    const userKey = config.keys[username];
-    if (!userKey) {
-      logger.info(`Config request for unknown user: ${username}`);
-      logger.debug(`Available users: ${Object.keys(config.keys).join(', ')}`);
-      return response.invalidKey(res);
+    // A config the key couldn't use would only fail on the first upload
+    const requiredScope = sharexConfig.getRequiredScope(type);
+    if (!middleware.hasScope(username, requiredScope)) {
+      auditLog.recordAuthFailure(req, "INSUFFICIENT_SCOPE");
+      return response.insufficientScope(res, requiredScope);
+    }
+
+    // Optional default lifetime baked into the generated config
+    const requestedExpiry = req.query.expires;
+    if (requestedExpiry && utils.parseDuration(requestedExpiry) === undefined) {
+      return response.invalidExpiry(res);
+    }
+
+    // Stored keys are hashed and can't be read back, so the config carries the key of the request or a new one
+    let userKey = req.locals.fullKey;
+    if (rotate) {
+      userKey = await keyManager.rotateKey(username);
+      await configLoader.reloadConfig();
+      sessions.destroyUserSessions(username);
+      logger.info(`Issued a new key for ${username} with their ShareX config; the previous key no longer works`);
     }
 
-    const sharexConfig = {
-      Version: "17.0.0",
-      Name: `${config.name}-Uploader`,
-      DestinationType: "ImageUploader",
-      RequestMethod: "POST",
-      RequestURL: `${config.serverUrl}/upload`,
-      Body: "MultipartFormData",
-      Arguments: {
-        key: userKey,
-      },
-      FileFormName: "file",
-      URL: "{json:data.file.url}",
-    };
-
-    const configJson = JSON.stringify(sharexConfig, null, 2);
-    const sanitizedName = (config.name || 'ShareX').replace(/[^a-zA-Z0-9-_]/g, '_');
-    const filename = `${sanitizedName}-Uploader.sxcu`;
+    const { filename, sxcu } = sharexConfig.buildSharexConfig({
+      key: userKey,
+      type,
+      expires: requestedExpiry
+    });
+    const configJson = JSON.stringify(sxcu, null, 2);
     
     const buffer = Buffer.from(configJson, 'utf8');
 
@@ -425,10 +694,12 @@ router.get("/config.sxcu", middleware.keyRequired, function (req, res) {
       'Content-Type': 'application/force-download',
       'Content-Disposition': `attachment; filename="${filename}"`,
       'Content-Length': buffer.length,
+      'Cache-Control': 'no-store', // Carries a live API key
     });
 
     logger.info(`Generated ShareX config for user: ${username}`);
     logger.debug(`Download filename: ${filename}`);
+    auditLog.record(req, "config_download", { type, rotated: rotate || null });
     
     res.end(buffer);
     
@@ -439,6 +710,30 @@ router.get("/config.sxcu", middleware.keyRequired, function (req, res) {
       error: { message: "Failed to generate config" }
     });
   }
+}
+
+/**
+ * ShareX config carrying the key the request was made with
+ */
+router.get("/config.sxcu", middleware.keyRequired, function (req, res) {
+  sendSharexConfig(req, res, false);
+});
+
+/**
+ * ShareX config with a newly issued key; needs rotate=1, since the current key stops working
+ */
+router.post("/config.sxcu", middleware.keyRequired, function (req, res) {
+  const rotate = req.query.rotate || req.body?.rotate;
+  if (rotate !== "1") {
+    return response.sendError(
+      res,
+      response.HTTP_STATUS.BAD_REQUEST,
+      "Key rotation not confirmed",
+      "Send rotate=1 to issue a new key; the current key and configs using it stop working. GET /config.sxcu keeps the current key",
+      "ROTATE_REQUIRED"
+    );
+  }
+  sendSharexConfig(req, res, true);
 });
 
 /**
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const metrics = require("../libs/metrics.js");
+
+/**
+ * Prometheus scrape endpoint
+ * With metrics.token set, scrapers send it as a Bearer token or ?token=
+ */
+router.get("/metrics", function (req, res, next) {
+  // Disabled metrics fall through to the 404 handler
+  if (!metrics.isEnabled()) {
+    return next();
+  }
+
+  if (!metrics.isScrapeAuthorized(req)) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="metrics"');
+    return res.status(401).type("text/plain").send("Invalid scrape token");
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const hljs = require("highlight.js");
+const config = require("../config.json");
+const logger = require("silly-logger");
+const response = require("../libs/response.js");
+const middleware = require("../libs/middleware.js");
+const auditLog = require("../libs/auditLog.js");
+const pasteStore = require("../libs/pasteStore.js");
+const fileStore = require("../libs/fileStore.js");
+const configLoader = require("../libs/configLoader.js");
+const expiry = require("../libs/expiry.js");
+const utils = require("../libs/utils.js");
+const httpCache = require("../libs/httpCache.js");
+
+// Constants for better maintainability
+const DEFAULT_PASTE_SIZE_LIMIT = 1024 * 1024; // 1MB
+const AUTO_DETECT_LIMIT = 16 * 1024; // Skip language auto-detection above 16KB
+const DELETE_TOKEN_LENGTH = 32;
+
+// Auto-detection tries each of these instead of every language highlight.js knows
+const AUTO_DETECT_LANGUAGES = Object.freeze([
+  "bash", "c", "cpp", "csharp", "css", "diff", "go", "ini", "java", "javascript", "json", "kotlin",
+  "lua", "markdown", "php", "python", "ruby", "rust", "shell", "sql", "typescript", "xml", "yaml",
+]);
+
+// Highlighting of older pastes in flight, so concurrent views share the work
+const pendingHighlights = new Map();
+
+/**
+ * Gets the paste size limit
+ * @returns {number} - Maximum paste size in bytes
+ */
+function getPasteSizeLimit() {
+  return config.pasteSizeLimit || DEFAULT_PASTE_SIZE_LIMIT;
+}
+
+/**
+ * Body parsing for pastes: raw text/plain bodies and multipart forms
+ * (urlencoded forms are handled by the global body parser)
+ * @returns {Object} - Parsers using the current size limit
+ */
+function createParsers() {
+  return {
+    rawText: express.text({ type: "text/plain", limit: getPasteSizeLimit() }),
+    multipart: multer({
+      limits: {
+        fieldSize: getPasteSizeLimit(),
+        fields: 10,
+        files: 0,
+      },
+    }).none(),
+  };
+}
+
+// Rebuilt on config reload so new size limits apply to the next paste
+let parsers = createParsers();
+configLoader.onReload(() => {
+  parsers = createParsers();
+});
+
+const parseMultipart = (req, res, next) => parsers.multipart(req, res, next);
+const parseRawText = (req, res, next) => parsers.rawText(req, res, next);
+
+/**
+ * Normalizes a language hint to a name highlight.js knows
+ * @param {string} language - Requested language
+ * @returns {string|null} - Known language name or null
+ */
+function normalizeLanguage(language) {
+  if (!language || typeof language !== "string") {
+    return null;
+  }
+
+  const normalized = language.trim().toLowerCase();
+  return hljs.getLanguage(normalized) ? normalized : null;
+}
+
+/**
+ * Highlights paste text on the server
+ * Runs once per paste, when it is created; views read the stored result
+ * @param {string} content - Paste text
+ * @param {string|null} language - Language hint
+ * @returns {{html: string, language: string|null}} - Highlighted HTML and the language used
+ */
+function highlightPaste(content, language) {
+  if (language) {
+    return { html: hljs.highlight(content, { language }).value, language };
+  }
+
+  if (content.length <= AUTO_DETECT_LIMIT) {
+    const result = hljs.highlightAuto(content, AUTO_DETECT_LANGUAGES);
+    return { html: result.value, language: result.language || null };
+  }
+
+  return { html: hljs.highlight(content, { language: "plaintext" }).value, language: null };
+}
+
+/**
+ * Gets the highlighted HTML of a paste
+ * Pastes created before highlighting was stored are highlighted on their first view and kept
+ * @param {Object} record - Paste record
+ * @returns {Promise<{html: string, language: string|null}>}
+ */
+async function getHighlightedPaste(record) {
+  const html = await pasteStore.readPasteHighlight(record);
+  if (html !== null) {
+    return { html, language: record.language };
+  }
+
+  if (!pendingHighlights.has(record.id)) {
+    const work = pasteStore.readPasteContent(record)
+      .then(async (content) => {
+        const result = highlightPaste(content, record.language);
+        await pasteStore.savePasteHighlight(record, result);
+        return result;
+      })
+      .finally(() => pendingHighlights.delete(record.id));
+    pendingHighlights.set(record.id, work);
+  }
+  return pendingHighlights.get(record.id);
+}
+
+/**
+ * Builds the public URLs of a paste
+ * @param {Object} record - Paste record
+ * @returns {{url: string, raw_url: string}}
+ */
+function buildPasteUrls(record) {
+  return {
+    url: `${config.serverUrl}/p/${record.id}`,
+    raw_url: `${config.serverUrl}/p/${record.id}/raw`,
+  };
+}
+
+/**
+ * Paste upload route (ShareX TextUploader)
+ */
+router.post(
+  "/paste",
+  middleware.requireScope("paste"),
+  parseMultipart,
+  parseRawText,
+  async function (req, res) {
+    try {
+      // Multipart forms are only authenticated once their fields are parsed
+      if (!middleware.authenticateBodyKey(req)) {
+        const key = req.body?.key;
+        auditLog.recordAuthFailure(req, key ? "INVALID_KEY" : "EMPTY_KEY", { key });
+        return key ? response.invalidKey(res) : response.emptyKey(res);
+      }
+      if (!middleware.hasScope(req.locals.username, "paste")) {
+        auditLog.recordAuthFailure(req, "INSUFFICIENT_SCOPE");
+        return response.insufficientScope(res, "paste");
+      }
+
+      const shortKey = req.locals.shortKey;
+      const content = typeof req.body === "string" ? req.body : req.body?.text;
+
+      if (typeof content !== "string" || content.length === 0) {
+        logger.info(`No paste text was sent, aborting... (${shortKey})`);
+        return response.noTextPasted(res);
+      }
+
+      if (Buffer.byteLength(content, "utf8") > getPasteSizeLimit()) {
+        logger.info(`Paste exceeds size limit, aborting... (${shortKey})`);
+        return response.fileTooLarge(res);
+      }
+
+      // Pastes follow the same lifetime rules as file uploads
+      const { valid, expiresAt } = expiry.resolveExpiry(req.locals.username, expiry.extractRequestedExpiry(req));
+      if (!valid) {
+        logger.info(`Invalid expiry requested, aborting... (${shortKey})`);
+        return response.invalidExpiry(res);
+      }
+
+      const { html, language } = highlightPaste(content, normalizeLanguage(req.query.language || req.body?.language));
+      const deleteToken = utils.generateSecureRandomString(DELETE_TOKEN_LENGTH);
+      const record = await pasteStore.createPaste({
+        owner: req.locals.username,
+        content,
+        language,
+        html,
+        deleteToken,
+        expiresAt,
+      });
+
+      logger.info(`Created paste ${record.id} (${record.size} bytes) (${shortKey})`);
+
+      response.sendSuccess(res, {
+        paste: {
+          id: record.id,
+          language: record.language,
+          ...buildPasteUrls(record),
+          delete_url: `${config.serverUrl}/delete/${deleteToken}`,
+          expires_at: record.expiresAt,
+        },
+      }, "Paste created successfully");
+
+    } catch (error) {
+      logger.error(`Paste error: ${error.message} (${req.locals?.shortKey || "unknown"})`);
+      response.serverError(res, "Failed to create paste");
+    }
+  },
+  function (err, req, res, next) {
+    const shortKey = req.locals?.shortKey || "unknown";
+
+    if (err.type === "entity.too.large" || err.code === "LIMIT_FIELD_VALUE") {
+      logger.info(`Paste exceeds size limit, aborting... (${shortKey})`);
+      return response.fileTooLarge(res);
+    }
+
+    logger.error(`Paste error: ${err.message} (${shortKey})`);
+    response.serverError(res, "Failed to create paste");
+  }
+);
+
+/**
+ * Rendered paste view with line numbers and syntax highlighting
+ */
+router.get("/p/:id", async function (req, res) {
+  try {
+    const record = pasteStore.getPaste(req.params.id);
+    if (!record) {
+      return res.status(404).send("Paste not found");
+    }
+    if (fileStore.isExpired(record)) {
+      return res.status(response.HTTP_STATUS.GONE).send("Paste has expired");
+    }
+
+    const { html, language } = await getHighlightedPaste(record);
+    const lineNumbers = Array.from({ length: record.lines }, (_, i) => i + 1);
+
+    res.render("paste", {
+      id: record.id,
+      language: language || "plain text",
+      size: record.size,
+      createdAt: record.createdAt,
+      highlighted: html,
+      lineNumbers: lineNumbers.join("\n"),
+      rawUrl: `/p/${record.id}/raw`,
+    });
+
+  } catch (error) {
+    logger.error(`Error rendering paste ${req.params.id}: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).send("Internal server error");
+    }
+  }
+});
+
+/**
+ * Raw paste text
+ */
+router.get("/p/:id/raw", async function (req, res) {
+  try {
+    const record = pasteStore.getPaste(req.params.id);
+    if (!record) {
+      return res.status(404).send("Paste not found");
+    }
+    if (fileStore.isExpired(record)) {
+      return res.status(response.HTTP_STATUS.GONE).send("Paste has expired");
+    }
+
+    const content = await pasteStore.readPasteContent(record);
+
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", httpCache.getCacheControl(record)); // Pastes never change, but may expire
+    res.send(content);
+
+  } catch (error) {
+    logger.error(`Error serving raw paste ${req.params.id}: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).send("Internal server error");
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const config = require("../config.json");
+const logger = require("silly-logger");
+const response = require("../libs/response.js");
+const middleware = require("../libs/middleware.js");
+const auditLog = require("../libs/auditLog.js");
+const utils = require("../libs/utils.js");
+const linkStore = require("../libs/linkStore.js");
+
+// Constants for better maintainability
+const MAX_URL_LENGTH = 2048;
+const ALLOWED_PROTOCOLS = Object.freeze(["http:", "https:"]);
+
+/**
+ * Multipart parsing for ShareX URL shortener requests
+ */
+const parseMultipart = multer({
+  limits: {
+    fieldSize: MAX_URL_LENGTH,
+    fields: 10,
+    files: 0,
+  },
+}).none();
+
+/**
+ * Checks a URL is safe to redirect to
+ * @param {string} url - URL to check
+ * @returns {boolean} - True if the URL is a valid http(s) URL
+ */
+function isShortenableURL(url) {
+  if (typeof url !== "string" || url.length > MAX_URL_LENGTH || !utils.isValidURL(url)) {
+    return false;
+  }
+  return ALLOWED_PROTOCOLS.includes(new URL(url).protocol);
+}
+
+/**
+ * Formats a link record for API responses
+ * @param {Object} record - Link record
+ * @returns {Object} - Public link data
+ */
+function formatLink(record) {
+  return {
+    code: record.code,
+    url: `${config.serverUrl}/s/${record.code}`,
+    target: record.url,
+    hits: record.hits,
+    created_at: record.createdAt,
+    last_hit_at: record.lastHitAt,
+  };
+}
+
+/**
+ * URL shortening route (ShareX URLShortener)
+ */
+router.post("/shorten", middleware.requireScope("shorten"), parseMultipart, async function (req, res) {
+  try {
+    // Multipart forms are only authenticated once their fields are parsed
+    if (!middleware.authenticateBodyKey(req)) {
+      const key = req.body?.key;
+      auditLog.recordAuthFailure(req, key ? "INVALID_KEY" : "EMPTY_KEY", { key });
+      return key ? response.invalidKey(res) : response.emptyKey(res);
+    }
+    if (!middleware.hasScope(req.locals.username, "shorten")) {
+      auditLog.recordAuthFailure(req, "INSUFFICIENT_SCOPE");
+      return response.insufficientScope(res, "shorten");
+    }
+
+    const shortKey = req.locals.shortKey;
+    const url = req.body?.url || req.query.url;
+
+    if (!isShortenableURL(url)) {
+      logger.info(`Invalid URL sent for shortening, aborting... (${shortKey})`);
+      return response.invalidURL(res);
+    }
+
+    const record = await linkStore.createLink({ url, owner: req.locals.username });
+    logger.info(`Created short link ${record.code} (${shortKey})`);
+
+    response.sendSuccess(res, { link: formatLink(record) }, "URL shortened successfully");
+
+  } catch (error) {
+    logger.error(`Shorten error: ${error.message} (${req.locals?.shortKey || "unknown"})`);
+    response.serverError(res, "Failed to shorten URL");
+  }
+});
+
+/**
+ * Lists the calling key's short links with their hit counts
+ */
+router.get("/links", middleware.requireScope("list"), function (req, res) {
+  const links = linkStore.listLinks({ owner: req.locals.username }).map(formatLink);
+  response.sendSuccess(res, { links }, "Short links");
+});
+
+/**
+ * Short link redirect
+ */
+router.get("/s/:code", async function (req, res) {
+  try {
+    const record = linkStore.getLink(req.params.code);
+    if (!record) {
+      return res.status(404).send("Link not found");
+    }
+
+    // Counting the hit must never hold up the redirect
+    linkStore.recordHit(record).catch((error) => {
+      logger.error(`Failed to record hit for ${record.code}: ${error.message}`);
+    });
+
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate"); // Every visit is counted
+    res.redirect(302, record.url);
+
+  } catch (error) {
+    logger.error(`Redirect error for ${req.params.code}: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).send("Internal server error");
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,389 @@
+const express = require("express");
+const router = express.Router();
+const fs = require("fs");
+const path = require("path");
+const config = require("../config.json");
+const logger = require("silly-logger");
+const response = require("../libs/response.js");
+const middleware = require("../libs/middleware.js");
+const auditLog = require("../libs/auditLog.js");
+const metrics = require("../libs/metrics.js");
+const utils = require("../libs/utils.js");
+const quota = require("../libs/quota.js");
+const expiry = require("../libs/expiry.js");
+const tusStore = require("../libs/tusStore.js");
+const uploadProgress = require("../libs/uploadProgress.js");
+const { finalizeUpload } = require("../libs/uploadFinalizer.js");
+const { isFileExtensionAllowed, generateUniqueFilename } = require("../libs/handleLargeFile.js");
+
+// Constants for better maintainability
+const TUS_VERSION = "1.0.0";
+const TUS_EXTENSIONS = "creation,termination,expiration";
+const DEFAULT_LARGE_FILE_LIMIT = 5 * 1024 * 1024 * 1024; // 5GB
+const STALE_UPLOAD_AGE = 24 * 60 * 60 * 1000; // Unfinished uploads idle for 24 hours are removed
+
+// Uploads currently receiving a PATCH, so two requests never append at once
+const uploadsInProgress = new Set();
+
+/**
+ * Gets the largest upload size the server accepts
+ * @returns {number} - Size limit in bytes
+ */
+function getMaxUploadSize() {
+  return config.largeFileSizeLimit || DEFAULT_LARGE_FILE_LIMIT;
+}
+
+/**
+ * Parses the tus Upload-Metadata header ("key base64value,key2 base64value2")
+ * @param {string} header - Raw header value
+ * @returns {Object} - Decoded metadata
+ */
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header || typeof header !== "string") {
+    return metadata;
+  }
+
+  for (const pair of header.split(",")) {
+    const [key, value] = pair.trim().split(" ");
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, "base64").toString("utf8") : "";
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Sends a tus protocol error (status code only, tus clients don't read bodies)
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ */
+function sendTusError(res, status, message) {
+  res.status(status).type("text/plain").send(message);
+}
+
+/**
+ * Adds the Tus-Resumable header and rejects clients speaking another protocol version
+ */
+function tusHeaders(req, res, next) {
+  res.setHeader("Tus-Resumable", TUS_VERSION);
+
+  if (req.method !== "OPTIONS" && req.headers["tus-resumable"] !== TUS_VERSION) {
+    res.setHeader("Tus-Version", TUS_VERSION);
+    return sendTusError(res, 412, "Unsupported tus version");
+  }
+
+  next();
+}
+
+/**
+ * Loads the upload named in the URL and checks it belongs to the calling key
+ */
+function loadOwnUpload(req, res, next) {
+  const record = tusStore.getUpload(req.params.id);
+  if (!record) {
+    return sendTusError(res, 404, "Upload not found");
+  }
+
+  if (record.owner !== req.locals.username) {
+    logger.warn(`Refusing access to resumable upload ${record.id} owned by ${record.owner} (${req.locals.shortKey})`);
+    return sendTusError(res, 403, "Upload belongs to another user");
+  }
+
+  req.tusUpload = record;
+  next();
+}
+
+/**
+ * Moves a completed upload into the upload directory and records it
+ * @param {Object} record - Completed tus upload
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - finalizeUpload result
+ */
+async function completeUpload(record, req) {
+  const filename = generateUniqueFilename(record.originalName);
+  const filePath = path.join(config.uploadDirectory, filename);
+
+  await utils.moveFile(tusStore.getStagingPath(record.id), filePath);
+  await tusStore.removeUpload(record);
+
+  logger.info(`Resumable upload ${record.id} completed: ${record.originalName} -> ${filename} (${req.locals.shortKey})`);
+
+  return finalizeUpload({
+    filename,
+    filePath,
+    originalName: record.originalName,
+    size: record.length,
+    mimetype: "application/octet-stream",
+    username: record.owner,
+    shortKey: req.locals.shortKey,
+    requestedExpiry: record.requestedExpiry
+  });
+}
+
+router.use(tusHeaders);
+
+/**
+ * Server capabilities
+ */
+router.options(["/", "/:id"], function (req, res) {
+  res.setHeader("Tus-Version", TUS_VERSION);
+  res.setHeader("Tus-Extension", TUS_EXTENSIONS);
+  res.setHeader("Tus-Max-Size", getMaxUploadSize());
+  res.status(204).end();
+});
+
+/**
+ * Creation: announces a new upload and returns its URL
+ */
+// Only creation is rate limited; a single upload may need many PATCH requests
+router.post("/", middleware.rateLimit(50, 15 * 60 * 1000), middleware.requireScope("upload"), async function (req, res) {
+  try {
+    const shortKey = req.locals.shortKey;
+    const length = Number(req.headers["upload-length"]);
+
+    if (!Number.isInteger(length) || length < 0) {
+      return sendTusError(res, 400, "Upload-Length header is required");
+    }
+
+    if (length > getMaxUploadSize()) {
+      logger.info(`Resumable upload exceeds size limit, aborting... (${shortKey})`);
+      return response.fileTooLarge(res);
+    }
+
+    const metadata = parseUploadMetadata(req.headers["upload-metadata"]);
+    const originalName = path.basename(metadata.filename || metadata.name || "");
+
+    if (!originalName) {
+      return response.noFileUploaded(res);
+    }
+
+    if (!isFileExtensionAllowed(originalName)) {
+      logger.info(`File has an invalid extension, aborting... (${shortKey})`);
+      return response.invalidFileExtension(res);
+    }
+
+    if (!quota.checkQuota(req.locals.username, length).allowed) {
+      logger.info(`Resumable upload exceeds storage quota, aborting... (${shortKey})`);
+      return response.quotaExceeded(res);
+    }
+
+    const requestedExpiry = metadata.expires || req.headers["x-expires"] || null;
+    if (!expiry.resolveExpiry(req.locals.username, requestedExpiry).valid) {
+      return response.invalidExpiry(res);
+    }
+
+    const record = await tusStore.createUpload({
+      owner: req.locals.username,
+      length,
+      originalName,
+      requestedExpiry
+    });
+
+    logger.info(`Resumable upload ${record.id} created for ${originalName} (${length} bytes) (${shortKey})`);
+
+    res.setHeader("Location", `${config.serverUrl}/tus/${record.id}`);
+    res.setHeader("Upload-Expires", new Date(Date.now() + STALE_UPLOAD_AGE).toUTCString());
+    res.status(201).end();
+
+  } catch (error) {
+    logger.error(`Resumable upload creation error: ${error.message} (${req.locals?.shortKey || "unknown"})`);
+    response.serverError(res, "Failed to create upload");
+  }
+});
+
+/**
+ * Offset lookup: how many bytes the server already has
+ */
+router.head("/:id", middleware.requireScope("upload"), loadOwnUpload, async function (req, res) {
+  try {
+    const record = req.tusUpload;
+    const offset = await tusStore.getOffset(record);
+
+    if (offset === null) {
+      return sendTusError(res, 404, "Upload not found");
+    }
+
+    const lastActivity = await tusStore.getLastActivity(record);
+
+    res.setHeader("Upload-Offset", offset);
+    res.setHeader("Upload-Length", record.length);
+    res.setHeader("Upload-Expires", new Date(lastActivity + STALE_UPLOAD_AGE).toUTCString());
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).end();
+
+  } catch (error) {
+    logger.error(`Resumable upload offset error: ${error.message}`);
+    res.status(500).end();
+  }
+});
+
+/**
+ * Append: writes a chunk at the current offset, finishing the upload once every byte is in
+ */
+router.patch("/:id", middleware.requireScope("upload"), loadOwnUpload, async function (req, res) {
+  const record = req.tusUpload;
+  const shortKey = req.locals.shortKey;
+
+  if (req.headers["content-type"] !== "application/offset+octet-stream") {
+    return sendTusError(res, 415, "Content-Type must be application/offset+octet-stream");
+  }
+
+  if (uploadsInProgress.has(record.id)) {
+    return sendTusError(res, 423, "Upload is already receiving data");
+  }
+
+  // Claimed before the first await, so a concurrent PATCH can't get past the check above
+  uploadsInProgress.add(record.id);
+
+  let offset;
+  try {
+    offset = await tusStore.getOffset(record);
+  } catch (error) {
+    uploadsInProgress.delete(record.id);
+    logger.error(`Resumable upload offset error: ${error.message} (${shortKey})`);
+    return res.status(500).end();
+  }
+
+  if (offset === null) {
+    uploadsInProgress.delete(record.id);
+    return sendTusError(res, 404, "Upload not found");
+  }
+
+  if (Number(req.headers["upload-offset"]) !== offset) {
+    uploadsInProgress.delete(record.id);
+    res.setHeader("Upload-Offset", offset);
+    return sendTusError(res, 409, "Upload-Offset does not match the server offset");
+  }
+
+  // Resumable uploads are tracked under their tus upload ID
+  uploadProgress.startUpload(record.id, {
+    total: record.length,
+    bytes: offset,
+    username: req.locals.username,
+    key: req.locals.fullKey
+  });
+
+  // Bytes written before a disconnect are kept so the client can resume from them
+  const writeStream = fs.createWriteStream(tusStore.getStagingPath(record.id), { flags: "a" });
+  let received = 0;
+  let overflow = false;
+
+  req.on("data", (chunk) => {
+    if (overflow) {
+      return;
+    }
+
+    received += chunk.length;
+
+    if (offset + received > record.length) {
+      // Nothing past the announced length is accepted; the rest of the body is discarded
+      overflow = true;
+      writeStream.end();
+      return;
+    }
+
+    uploadProgress.reportProgress(record.id, offset + received);
+
+    if (!writeStream.write(chunk)) {
+      req.pause();
+    }
+  });
+
+  writeStream.on("drain", () => req.resume());
+
+  req.on("end", () => {
+    if (!overflow) {
+      writeStream.end();
+    }
+  });
+
+  req.on("close", () => {
+    if (!req.complete && !overflow) {
+      logger.warn(`Resumable upload ${record.id} interrupted after ${received} bytes (${shortKey})`);
+      writeStream.end();
+    }
+  });
+
+  writeStream.on("error", (error) => {
+    uploadsInProgress.delete(record.id);
+    uploadProgress.markFailed(record.id, "Error writing upload");
+    logger.error(`Error writing resumable upload ${record.id}: ${error.message} (${shortKey})`);
+    if (!res.headersSent) {
+      res.status(500).end();
+    }
+  });
+
+  writeStream.on("finish", async () => {
+    try {
+      if (overflow) {
+        // Roll back this request's bytes so the client can retry the chunk
+        await fs.promises.truncate(tusStore.getStagingPath(record.id), offset);
+        res.setHeader("Upload-Offset", offset);
+        return sendTusError(res, 413, "Upload exceeds its Upload-Length");
+      }
+
+      const newOffset = await tusStore.getOffset(record);
+
+      res.setHeader("Upload-Offset", newOffset);
+
+      if (newOffset < record.length) {
+        return res.status(204).end();
+      }
+
+      uploadProgress.markProcessing(record.id);
+      const { record: upload, fileUrl, deleteUrl } = await completeUpload(record, req);
+      uploadProgress.markDone(record.id, fileUrl);
+      auditLog.record(req, "upload", { filename: upload.filename, size: upload.size });
+      // A resumable upload spans many requests, so it has no single duration
+      metrics.recordUpload({ outcome: "success", user: req.locals.username, handler: "tus", size: upload.size });
+      response.uploaded(res, fileUrl, deleteUrl, { expires_at: upload.expiresAt });
+
+    } catch (error) {
+      uploadProgress.markFailed(record.id, error.code || "Upload failed");
+      auditLog.record(req, "upload", { outcome: "failure", reason: error.code || "SERVER_ERROR" });
+      metrics.recordUpload({ outcome: "failure", user: req.locals.username, handler: "tus" });
+
+      if (error.code === "CONTENT_MISMATCH") {
+        return response.contentMismatch(res);
+      }
+      if (error.code === "QUOTA_EXCEEDED") {
+        return response.quotaExceeded(res);
+      }
+      if (error.code === "INVALID_EXPIRY") {
+        return response.invalidExpiry(res);
+      }
+
+      logger.error(`Resumable upload error: ${error.message} (${shortKey})`);
+      if (!res.headersSent) {
+        res.status(500).end();
+      }
+    } finally {
+      uploadsInProgress.delete(record.id);
+    }
+  });
+});
+
+/**
+ * Termination: abandons an upload and deletes its staged bytes
+ */
+router.delete("/:id", middleware.requireScope("upload"), loadOwnUpload, async function (req, res) {
+  try {
+    if (uploadsInProgress.has(req.tusUpload.id)) {
+      return sendTusError(res, 423, "Upload is receiving data");
+    }
+
+    await tusStore.removeUpload(req.tusUpload);
+    logger.info(`Resumable upload ${req.tusUpload.id} terminated (${req.locals.shortKey})`);
+    res.status(204).end();
+
+  } catch (error) {
+    logger.error(`Resumable upload termination error: ${error.message}`);
+    res.status(500).end();
+  }
+});
+
+module.exports = router;
+module.exports.STALE_UPLOAD_AGE = STALE_UPLOAD_AGE;
@@ -0,0 +1,94 @@
+const { config } = require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const apiKeys = require('../libs/apiKeys.js');
+
+// Two keys sharing a prefix, so lookups must verify more than one hash
+const ALICE_KEY = 'sharedAliceKey0123456789';
+const CAROL_KEY = 'sharedCarolKey0123456789';
+const BOB_KEY = 'bobKey0123456789abcdef';
+
+config.keys = {
+    alice: apiKeys.createKeyEntry(ALICE_KEY, '2026-01-01T00:00:00.000Z', ['upload', 'admin']),
+    carol: apiKeys.createKeyEntry(CAROL_KEY),
+    bob: BOB_KEY,
+    broken: 42
+};
+
+const middleware = require('../libs/middleware.js');
+
+test('key entries keep only the prefix and a salted hash', () => {
+    const entry = apiKeys.createKeyEntry(ALICE_KEY, '2026-01-01T00:00:00.000Z');
+
+    assert.equal(entry.prefix, 'shared');
+    assert.equal(entry.prefix, apiKeys.getKeyPrefix(ALICE_KEY));
+    assert.match(entry.hash, /^[0-9a-f]{64}$/);
+    assert.equal(JSON.stringify(entry).includes(ALICE_KEY), false);
+    assert.equal(entry.scopes, undefined);
+    assert.equal(apiKeys.isHashedEntry(entry), true);
+});
+
+test('the same key hashes differently under each salt', () => {
+    const first = apiKeys.createKeyEntry(ALICE_KEY);
+    const second = apiKeys.createKeyEntry(ALICE_KEY);
+
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.hash, second.hash);
+});
+
+test('verifyKey accepts only the hashed key', () => {
+    const entry = apiKeys.createKeyEntry(ALICE_KEY);
+
+    assert.equal(apiKeys.verifyKey(ALICE_KEY, entry), true);
+    assert.equal(apiKeys.verifyKey(CAROL_KEY, entry), false);
+    assert.equal(apiKeys.verifyKey('', entry), false);
+});
+
+test('plaintext entries from older configs are hashed', () => {
+    const fromString = apiKeys.toHashedEntry(BOB_KEY);
+    assert.equal(apiKeys.verifyKey(BOB_KEY, fromString), true);
+    assert.equal(fromString.createdAt, null);
+
+    const fromObject = apiKeys.toHashedEntry({ key: BOB_KEY, createdAt: '2025-06-01T00:00:00.000Z', scopes: ['list'] });
+    assert.equal(apiKeys.verifyKey(BOB_KEY, fromObject), true);
+    assert.equal(fromObject.createdAt, '2025-06-01T00:00:00.000Z');
+    assert.deepEqual(fromObject.scopes, ['list']);
+
+    const hashed = config.keys.alice;
+    assert.equal(apiKeys.toHashedEntry(hashed), hashed);
+});
+
+test('malformed entries are rejected', () => {
+    for (const entry of [42, null, '', {}, { key: '' }]) {
+        assert.equal(apiKeys.toHashedEntry(entry), null);
+    }
+});
+
+test('keys are found by prefix, even when several users share one', () => {
+    assert.equal(middleware.validateApiKey(ALICE_KEY), 'alice');
+    assert.equal(middleware.validateApiKey(CAROL_KEY), 'carol');
+    assert.equal(middleware.validateApiKey(BOB_KEY), 'bob');
+});
+
+test('unknown and malformed keys are refused', () => {
+    assert.equal(middleware.validateApiKey('sharedMalloryKey01234567'), null);
+    assert.equal(middleware.validateApiKey('nobody'), null);
+    assert.equal(middleware.validateApiKey(''), null);
+    assert.equal(middleware.validateApiKey(undefined), null);
+    assert.equal(middleware.validateApiKey(['sharedAliceKey0123456789']), null);
+});
+
+test('keys without scopes get the default scopes', () => {
+    assert.deepEqual(middleware.getScopes('alice'), ['upload', 'admin']);
+    assert.deepEqual(middleware.getScopes('carol'), apiKeys.DEFAULT_SCOPES);
+    assert.deepEqual(middleware.getScopes('broken'), []);
+});
+
+test('key use is recorded under the key prefix', async () => {
+    middleware.validateApiKey(BOB_KEY);
+    await apiKeys.flush();
+
+    assert.notEqual(apiKeys.getLastUsed('bob', apiKeys.getKeyPrefix(BOB_KEY)), null);
+    assert.equal(apiKeys.getLastUsed('bob', 'other1'), null);
+});
@@ -0,0 +1,117 @@
+const { tempDirectory } = require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { detectMimeType, verifyFileContent } = require('../libs/contentSniffer.js');
+
+/**
+ * Builds the start of an ISO base media file
+ * @param {string} majorBrand - Four-character major brand
+ * @param {Array<string>} compatibleBrands - Four-character compatible brands
+ * @returns {Buffer}
+ */
+function ftyp(majorBrand, compatibleBrands = []) {
+    const size = 16 + compatibleBrands.length * 4;
+    const box = Buffer.alloc(size);
+    box.writeUInt32BE(size, 0);
+    box.write('ftyp', 4, 'latin1');
+    box.write(majorBrand, 8, 'latin1');
+    compatibleBrands.forEach((brand, index) => box.write(brand, 16 + index * 4, 'latin1'));
+    return box;
+}
+
+/**
+ * Builds the start of an EBML file with the given doctype
+ * @param {string} docType - Matroska doctype
+ * @returns {Buffer}
+ */
+function ebml(docType) {
+    return Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x9F, 0x42, 0x82, 0x84]), Buffer.from(docType, 'latin1')]);
+}
+
+const SIGNATURES = {
+    'image/png': Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00]),
+    'image/jpeg': Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]),
+    'image/gif': Buffer.from('GIF89a\x01\x00', 'latin1'),
+    'image/webp': Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1'),
+    'image/bmp': Buffer.concat([Buffer.from('BM', 'latin1'), Buffer.alloc(12)]),
+    'image/tiff': Buffer.from([0x49, 0x49, 0x2A, 0x00, 0x08]),
+    'image/avif': ftyp('avif', ['mif1']),
+    'video/mp4': ftyp('isom', ['iso2', 'mp41']),
+    'video/x-m4v': ftyp('M4V '),
+    'video/quicktime': ftyp('qt  '),
+    'video/webm': ebml('webm'),
+    'video/x-matroska': ebml('matroska')
+};
+
+/**
+ * Writes content to a file and verifies it against its name
+ * @param {string} filename - Name whose extension is checked
+ * @param {Buffer|string} content - File content
+ * @returns {Promise<{valid: boolean, mimetype: string, detected: string|null}>}
+ */
+function verify(filename, content) {
+    const filePath = path.join(tempDirectory, filename);
+    fs.writeFileSync(filePath, content);
+    return verifyFileContent(filePath, filename);
+}
+
+test('every supported signature is detected', () => {
+    for (const [type, bytes] of Object.entries(SIGNATURES)) {
+        assert.equal(detectMimeType(bytes), type, type);
+    }
+});
+
+test('TIFF is detected in both byte orders', () => {
+    assert.equal(detectMimeType(Buffer.from([0x4D, 0x4D, 0x00, 0x2A, 0x00])), 'image/tiff');
+});
+
+test('HEIF images naming AVIF as compatible are AVIF', () => {
+    assert.equal(detectMimeType(ftyp('mif1', ['miaf', 'avif'])), 'image/avif');
+});
+
+test('markup is detected', () => {
+    assert.equal(detectMimeType(Buffer.from('<!DOCTYPE html><p>hi')), 'text/html');
+    assert.equal(detectMimeType(Buffer.from('\uFEFF  <SCRIPT>alert(1)</SCRIPT>')), 'text/html');
+    assert.equal(detectMimeType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg">')), 'image/svg+xml');
+    assert.equal(detectMimeType(Buffer.from('<?xml version="1.0"?><svg>')), 'image/svg+xml');
+    assert.equal(detectMimeType(Buffer.from('<?xml version="1.0"?><note/>')), 'application/xml');
+});
+
+test('unrecognized content is not given a type', () => {
+    assert.equal(detectMimeType(Buffer.from('plain text')), null);
+    assert.equal(detectMimeType(Buffer.alloc(0)), null);
+    assert.equal(detectMimeType(Buffer.from('BM')), null);
+});
+
+test('media matching its extension is accepted', async () => {
+    assert.deepEqual(await verify('image.png', SIGNATURES['image/png']), { valid: true, mimetype: 'image/png', detected: 'image/png' });
+    assert.equal((await verify('clip.mkv', SIGNATURES['video/webm'])).valid, true);
+    assert.equal((await verify('clip.mov', SIGNATURES['video/mp4'])).valid, true);
+});
+
+test('HTML and SVG named .png are rejected', async () => {
+    assert.equal((await verify('page.png', '<html><script>alert(1)</script></html>')).valid, false);
+    assert.equal((await verify('vector.png', '<svg onload="alert(1)"></svg>')).valid, false);
+});
+
+test('media extensions must match a known signature', async () => {
+    assert.equal((await verify('unknown.png', 'not an image')).valid, false);
+    assert.equal((await verify('photo.png', SIGNATURES['image/jpeg'])).valid, false);
+});
+
+test('markup with an unknown extension is stored as application/octet-stream', async () => {
+    assert.deepEqual(await verify('page.zzz', '<html><body>hi</body></html>'), {
+        valid: true,
+        mimetype: 'application/octet-stream',
+        detected: 'text/html'
+    });
+    assert.equal((await verify('data.zzz', SIGNATURES['image/gif'])).mimetype, 'image/gif');
+});
+
+test('a .txt file containing HTML is rejected', async () => {
+    assert.equal((await verify('notes.txt', '<html><script>alert(1)</script></html>')).valid, false);
+    assert.deepEqual(await verify('plain.txt', 'just text'), { valid: true, mimetype: 'text/plain', detected: null });
+});
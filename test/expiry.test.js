@@ -0,0 +1,33 @@
+const { config } = require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveExpiry } = require('../libs/expiry.js');
+
+const NOW = Date.parse('2026-01-01T00:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+config.expiry = { default: '1d', max: '7d' };
+config.users = { bob: { expiry: { default: 'never', max: 'never' } } };
+
+test('uploads without a requested lifetime get the default', () => {
+    assert.deepEqual(resolveExpiry('alice', null, NOW), {
+        valid: true,
+        expiresAt: new Date(NOW + 24 * HOUR).toISOString()
+    });
+});
+
+test('requested lifetimes are clamped to the maximum', () => {
+    assert.equal(resolveExpiry('alice', '2h', NOW).expiresAt, new Date(NOW + 2 * HOUR).toISOString());
+    assert.equal(resolveExpiry('alice', '30d', NOW).expiresAt, new Date(NOW + 7 * 24 * HOUR).toISOString());
+    assert.equal(resolveExpiry('alice', 'never', NOW).expiresAt, new Date(NOW + 7 * 24 * HOUR).toISOString());
+});
+
+test('per-user settings override the global ones', () => {
+    assert.deepEqual(resolveExpiry('bob', null, NOW), { valid: true, expiresAt: null });
+    assert.equal(resolveExpiry('bob', '30d', NOW).expiresAt, new Date(NOW + 30 * 24 * HOUR).toISOString());
+});
+
+test('invalid lifetimes are rejected', () => {
+    assert.deepEqual(resolveExpiry('alice', 'soon', NOW), { valid: false, expiresAt: null });
+});
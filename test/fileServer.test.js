@@ -0,0 +1,128 @@
+const { tempDirectory } = require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { serveFile } = require('../libs/fileServer.js');
+
+const CONTENT = '0123456789abcdefghij';
+const FILE_PATH = path.join(tempDirectory, 'range.txt');
+const VALIDATORS = { etag: '"range-etag"', lastModified: new Date('2026-01-01T00:00:00.000Z').toUTCString() };
+
+let server;
+let baseUrl;
+let bytesSent = 0;
+
+test.before(async () => {
+    fs.writeFileSync(FILE_PATH, CONTENT);
+
+    const app = express();
+    app.get('/file', (req, res) => serveFile(req, res, {
+        filePath: FILE_PATH,
+        size: CONTENT.length,
+        contentType: 'text/plain',
+        validators: VALIDATORS,
+        onBytesSent: bytes => { bytesSent += bytes; }
+    }));
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/file`;
+});
+
+test.after(() => {
+    server.close();
+});
+
+/**
+ * Requests the test file
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{status: number, headers: Headers, body: string}>}
+ */
+async function request(headers = {}) {
+    const res = await fetch(baseUrl, { headers });
+    return { status: res.status, headers: res.headers, body: await res.text() };
+}
+
+test('requests without Range get the whole file', async () => {
+    bytesSent = 0;
+    const res = await request();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body, CONTENT);
+    assert.equal(res.headers.get('accept-ranges'), 'bytes');
+    assert.equal(bytesSent, CONTENT.length);
+});
+
+test('a single range is sent as 206 with Content-Range', async () => {
+    const res = await request({ Range: 'bytes=2-5' });
+
+    assert.equal(res.status, 206);
+    assert.equal(res.body, '2345');
+    assert.equal(res.headers.get('content-range'), `bytes 2-5/${CONTENT.length}`);
+    assert.equal(res.headers.get('content-length'), '4');
+});
+
+test('open and suffix ranges run to the end of the file', async () => {
+    const open = await request({ Range: 'bytes=15-' });
+    assert.equal(open.status, 206);
+    assert.equal(open.body, 'fghij');
+
+    const suffix = await request({ Range: 'bytes=-3' });
+    assert.equal(suffix.status, 206);
+    assert.equal(suffix.body, 'hij');
+    assert.equal(suffix.headers.get('content-range'), `bytes 17-19/${CONTENT.length}`);
+});
+
+test('unsatisfiable ranges get 416', async () => {
+    const res = await request({ Range: 'bytes=50-60' });
+
+    assert.equal(res.status, 416);
+    assert.equal(res.headers.get('content-range'), `bytes */${CONTENT.length}`);
+});
+
+test('malformed Range headers are ignored', async () => {
+    for (const range of ['bytes=abc', 'items=0-5', 'bytes=5']) {
+        const res = await request({ Range: range });
+        assert.equal(res.status, 200, range);
+        assert.equal(res.body, CONTENT);
+    }
+});
+
+test('several ranges are sent as multipart/byteranges', async () => {
+    const res = await request({ Range: 'bytes=0-1, 10-12' });
+
+    assert.equal(res.status, 206);
+    const boundary = /boundary=(\S+)/.exec(res.headers.get('content-type'))[1];
+    assert.equal(Number(res.headers.get('content-length')), Buffer.byteLength(res.body));
+
+    const parts = res.body.split(`--${boundary}`);
+    assert.equal(parts.length, 4);
+    assert.match(parts[1], /Content-Range: bytes 0-1\/20\r\n\r\n01\r\n$/);
+    assert.match(parts[2], /Content-Range: bytes 10-12\/20\r\n\r\nabc\r\n$/);
+    assert.equal(parts[3], '--\r\n');
+});
+
+test('overlapping ranges are combined', async () => {
+    const res = await request({ Range: 'bytes=0-4, 3-7' });
+
+    assert.equal(res.status, 206);
+    assert.equal(res.body, '01234567');
+});
+
+test('a Range with a matching If-Range is honoured', async () => {
+    const byEtag = await request({ Range: 'bytes=0-1', 'If-Range': VALIDATORS.etag });
+    assert.equal(byEtag.status, 206);
+
+    const byDate = await request({ Range: 'bytes=0-1', 'If-Range': VALIDATORS.lastModified });
+    assert.equal(byDate.status, 206);
+});
+
+test('a stale If-Range gets the whole file', async () => {
+    const res = await request({ Range: 'bytes=0-1', 'If-Range': '"outdated"' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body, CONTENT);
+});
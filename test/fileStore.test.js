@@ -0,0 +1,74 @@
+const { config } = require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const fileStore = require('../libs/fileStore.js');
+
+const SHARED_HASH = 'a'.repeat(64);
+
+/**
+ * Writes a stored blob and records uploads pointing at it
+ * @param {string} storedName - Filename on disk
+ * @param {Array<string>} filenames - Public filenames sharing the blob
+ * @param {string} sha256 - Content hash
+ */
+async function addSharedUploads(storedName, filenames, sha256) {
+    fs.writeFileSync(path.join(config.uploadDirectory, storedName), 'shared content');
+    for (const filename of filenames) {
+        await fileStore.addUpload({ filename, storedName, owner: 'alice', size: 14, sha256 });
+    }
+}
+
+test('uploads with identical content share one stored file', async () => {
+    await addSharedUploads('blob1.png', ['one.png', 'two.png'], SHARED_HASH);
+
+    assert.equal(fileStore.countReferences('blob1.png'), 2);
+    assert.equal(fileStore.findBySha256(SHARED_HASH).storedName, 'blob1.png');
+    assert.equal(fileStore.findBySha256('b'.repeat(64)), null);
+});
+
+test('deleting a shared upload keeps the file until the last reference is gone', async () => {
+    const storedPath = path.join(config.uploadDirectory, 'blob1.png');
+
+    await fileStore.deleteUpload(fileStore.getUpload('one.png'), 'test');
+    assert.equal(fileStore.getUpload('one.png'), null);
+    assert.equal(fileStore.countReferences('blob1.png'), 1);
+    assert.equal(fs.existsSync(storedPath), true);
+    assert.equal(fileStore.findBySha256(SHARED_HASH).filename, 'two.png');
+
+    await fileStore.deleteUpload(fileStore.getUpload('two.png'), 'test');
+    assert.equal(fileStore.countReferences('blob1.png'), 0);
+    assert.equal(fs.existsSync(storedPath), false);
+    assert.equal(fileStore.findBySha256(SHARED_HASH), null);
+});
+
+test('re-adding a filename moves its reference to the new stored file', async () => {
+    await addSharedUploads('blob2.png', ['three.png'], 'c'.repeat(64));
+    await addSharedUploads('blob3.png', ['three.png'], 'd'.repeat(64));
+
+    assert.equal(fileStore.countReferences('blob2.png'), 0);
+    assert.equal(fileStore.countReferences('blob3.png'), 1);
+    assert.equal(fileStore.findBySha256('c'.repeat(64)), null);
+});
+
+test('reference counts are rebuilt from the journal on load', async () => {
+    await addSharedUploads('blob4.png', ['four.png', 'five.png', 'six.png'], 'e'.repeat(64));
+    await fileStore.removeUpload('five.png');
+
+    fileStore.load();
+
+    assert.equal(fileStore.countReferences('blob4.png'), 2);
+    assert.equal(fileStore.findBySha256('e'.repeat(64)).storedName, 'blob4.png');
+});
+
+test('deletion tokens are stored hashed and found by the token', async () => {
+    await fileStore.addUpload({ filename: 'token.png', owner: 'alice', size: 1, deleteToken: 'secret-token' });
+
+    const record = fileStore.getUpload('token.png');
+    assert.equal(record.deleteTokenHash, fileStore.hashDeleteToken('secret-token'));
+    assert.notEqual(record.deleteTokenHash, 'secret-token');
+    assert.equal(fileStore.findByDeleteToken('secret-token').filename, 'token.png');
+    assert.equal(fileStore.findByDeleteToken('wrong-token'), null);
+});
@@ -0,0 +1,47 @@
+/**
+ * Test setup: every require('../config.json') gets a copy of config-example.json
+ * whose upload and data directories point at a temporary directory, removed on exit
+ * Require this before any module under test; the returned config may be changed per test file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const ROOT_DIRECTORY = path.resolve(__dirname, '../..');
+const CONFIG_PATH = path.join(ROOT_DIRECTORY, 'config.json');
+
+const tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'sharex-test-'));
+const config = JSON.parse(fs.readFileSync(path.join(ROOT_DIRECTORY, 'config-example.json'), 'utf8'));
+
+config.serverUrl = 'http://localhost';
+config.staticFileServerUrl = 'http://localhost/f/';
+config.uploadDirectory = path.join(tempDirectory, 'uploads');
+config.dataDirectory = path.join(tempDirectory, 'data');
+fs.mkdirSync(config.uploadDirectory);
+fs.mkdirSync(config.dataDirectory);
+
+// config.json is not checked in, so it is resolved by hand and served from the module cache
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, parent, ...args) {
+    if (parent && request === '../config.json' && path.dirname(parent.filename).startsWith(ROOT_DIRECTORY)) {
+        return CONFIG_PATH;
+    }
+    return resolveFilename.call(this, request, parent, ...args);
+};
+
+const configModule = new Module(CONFIG_PATH);
+configModule.filename = CONFIG_PATH;
+configModule.exports = config;
+configModule.loaded = true;
+require.cache[CONFIG_PATH] = configModule;
+
+process.on('exit', () => {
+    fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+module.exports = {
+    config,
+    tempDirectory
+};
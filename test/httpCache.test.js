@@ -0,0 +1,56 @@
+require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const httpCache = require('../libs/httpCache.js');
+
+const MTIME = new Date('2026-01-01T12:00:00.000Z');
+const STATS = { size: 255, mtime: MTIME, mtimeMs: MTIME.getTime() };
+const VALIDATORS = { etag: '"abc123"', lastModified: MTIME.toUTCString() };
+
+/**
+ * Builds a request carrying an If-Range header
+ * @param {string} ifRange - Header value, if any
+ * @returns {Object}
+ */
+function withIfRange(ifRange) {
+    return { headers: ifRange === undefined ? {} : { 'if-range': ifRange } };
+}
+
+test('stored files use their content hash as a strong ETag', () => {
+    assert.deepEqual(httpCache.getValidators({ sha256: 'abc123' }, STATS), VALIDATORS);
+});
+
+test('files outside the store fall back to size and modification time', () => {
+    const { etag } = httpCache.getValidators(null, STATS);
+    assert.equal(etag, `"ff-${MTIME.getTime().toString(16)}"`);
+});
+
+test('a Range without If-Range is always honoured', () => {
+    assert.equal(httpCache.isRangeFresh(withIfRange(undefined), VALIDATORS), true);
+});
+
+test('If-Range with an ETag must match exactly', () => {
+    assert.equal(httpCache.isRangeFresh(withIfRange('"abc123"'), VALIDATORS), true);
+    assert.equal(httpCache.isRangeFresh(withIfRange('"other"'), VALIDATORS), false);
+    assert.equal(httpCache.isRangeFresh(withIfRange('W/"abc123"'), VALIDATORS), false);
+});
+
+test('If-Range with a date must equal Last-Modified', () => {
+    assert.equal(httpCache.isRangeFresh(withIfRange(MTIME.toUTCString()), VALIDATORS), true);
+    assert.equal(httpCache.isRangeFresh(withIfRange(new Date(MTIME.getTime() + 1000).toUTCString()), VALIDATORS), false);
+    assert.equal(httpCache.isRangeFresh(withIfRange('not a date'), VALIDATORS), false);
+});
+
+test('content without expiry is cached for the maximum age', () => {
+    assert.equal(httpCache.getCacheControl(null), `public, max-age=${httpCache.MAX_CACHE_AGE}`);
+    assert.equal(httpCache.getCacheControl({ expiresAt: null }), `public, max-age=${httpCache.MAX_CACHE_AGE}`);
+});
+
+test('expiring content is never cached past its expiry', () => {
+    const expiresAt = new Date(Date.now() + 60 * 1000).toISOString();
+    const maxAge = Number(/max-age=(\d+)/.exec(httpCache.getCacheControl({ expiresAt }))[1]);
+    assert.ok(maxAge > 50 && maxAge <= 60);
+
+    assert.equal(httpCache.getCacheControl({ expiresAt: '2000-01-01T00:00:00.000Z' }), 'public, max-age=0');
+});
@@ -0,0 +1,111 @@
+const { tempDirectory } = require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createJournal, getDataPath } = require('../libs/journal.js');
+
+let counter = 0;
+
+/**
+ * Gets a journal path no other test uses
+ * @returns {string}
+ */
+function newJournalPath() {
+    counter++;
+    return path.join(tempDirectory, 'journals', `journal-${counter}.jsonl`);
+}
+
+/**
+ * Reads the entries written to a journal file
+ * @param {string} filePath - Journal path
+ * @returns {Array<Object>}
+ */
+function readEntries(filePath) {
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('getDataPath resolves inside the configured data directory', () => {
+    assert.equal(getDataPath('uploads.jsonl'), path.join(tempDirectory, 'data', 'uploads.jsonl'));
+});
+
+test('a reloaded journal replays puts and deletes in order', async () => {
+    const filePath = newJournalPath();
+    const journal = createJournal(filePath);
+
+    await journal.put('a', { value: 1 });
+    await journal.put('b', { value: 2 });
+    await journal.put('a', { value: 3 });
+    await journal.remove('b');
+    await journal.flush();
+
+    const reloaded = createJournal(filePath);
+    assert.deepEqual(reloaded.get('a'), { value: 3 });
+    assert.equal(reloaded.has('b'), false);
+    assert.equal(reloaded.get('b'), null);
+    assert.equal(reloaded.size(), 1);
+});
+
+test('removing an unknown key writes nothing', async () => {
+    const filePath = newJournalPath();
+    const journal = createJournal(filePath);
+
+    await journal.put('a', 1);
+    await journal.remove('missing');
+    await journal.flush();
+
+    assert.equal(readEntries(filePath).length, 1);
+});
+
+test('corrupt lines are skipped on load', () => {
+    const filePath = newJournalPath();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, [
+        JSON.stringify({ op: 'put', key: 'a', value: 1 }),
+        '{"op":"put","key":"b","val',
+        JSON.stringify({ op: 'put', key: 'c', value: 3 }),
+        '{"op":"put","key":"d"'
+    ].join('\n'));
+
+    const journal = createJournal(filePath);
+    assert.deepEqual(journal.values(), [1, 3]);
+});
+
+test('compaction keeps only the live records', async () => {
+    const filePath = newJournalPath();
+    const journal = createJournal(filePath);
+
+    await journal.put('a', 1);
+    await journal.put('a', 2);
+    await journal.put('b', 1);
+    await journal.remove('b');
+    await journal.compact();
+
+    assert.deepEqual(readEntries(filePath), [{ op: 'put', key: 'a', value: 2 }]);
+    assert.deepEqual(createJournal(filePath).values(), [2]);
+});
+
+test('superseded entries past the threshold compact the journal', async () => {
+    const filePath = newJournalPath();
+    const journal = createJournal(filePath, { compactThreshold: 3 });
+
+    for (let i = 0; i < 4; i++) {
+        await journal.put('a', i);
+    }
+    await journal.flush();
+
+    assert.deepEqual(readEntries(filePath), [{ op: 'put', key: 'a', value: 3 }]);
+});
+
+test('a journal loaded past the threshold is compacted', async () => {
+    const filePath = newJournalPath();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, [1, 2, 3, 4].map(value => JSON.stringify({ op: 'put', key: 'a', value })).join('\n') + '\n');
+
+    const journal = createJournal(filePath, { compactThreshold: 2 });
+    journal.load();
+    await journal.flush();
+
+    assert.deepEqual(readEntries(filePath), [{ op: 'put', key: 'a', value: 4 }]);
+});
@@ -0,0 +1,150 @@
+const { config } = require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const KEYS = {
+    ci: 'ciUploadOnlyKey01234',
+    alice: 'aliceScopeKey0123456',
+    bob: 'bobScopeKey012345678',
+    moderator: 'moderatorKey01234567',
+    root: 'rootAdminKey01234567',
+    legacy: 'legacyAdminKey012345'
+};
+
+config.keys = {
+    ci: { key: KEYS.ci, scopes: ['upload'] },
+    alice: KEYS.alice,
+    bob: KEYS.bob,
+    moderator: { key: KEYS.moderator, scopes: ['delete-any'] },
+    root: { key: KEYS.root, scopes: ['admin'] },
+    legacy: KEYS.legacy
+};
+config.users = { legacy: { admin: true } };
+config.fileExtensionCheck.extensionsAllowed.push('.txt');
+
+const apiKeys = require('../libs/apiKeys.js');
+const middleware = require('../libs/middleware.js');
+const fileStore = require('../libs/fileStore.js');
+const routes = require('../routes/index.js');
+const api = require('../routes/api.js');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    const app = express();
+    app.use('/', routes);
+    app.use('/api/v1', api);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+});
+
+/**
+ * Sends a GET request with an API key
+ * @param {string} pathname - Path and query
+ * @param {string} user - Key owner, from KEYS
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function get(pathname, user) {
+    const res = await fetch(`${baseUrl}${pathname}`, { headers: { 'X-Api-Key': KEYS[user] } });
+    return { status: res.status, body: await res.json() };
+}
+
+/**
+ * Records an upload owned by a user
+ * @param {string} filename - Public filename
+ * @param {string} owner - Uploader
+ */
+async function addFile(filename, owner) {
+    fs.writeFileSync(path.join(config.uploadDirectory, filename), filename);
+    await fileStore.addUpload({ filename, owner, size: filename.length, sha256: null });
+}
+
+/**
+ * Asserts a response is a scope refusal
+ * @param {{status: number, body: Object}} res - Response
+ */
+function assertRefused(res) {
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error.code, 'INSUFFICIENT_SCOPE');
+}
+
+test('an upload-only key can upload', async () => {
+    const form = new FormData();
+    form.append('key', KEYS.ci);
+    form.append('file', new Blob(['built artifact']), 'build.txt');
+
+    const res = await fetch(`${baseUrl}/upload`, { method: 'POST', body: form });
+    assert.equal(res.status, 200);
+});
+
+test('an upload-only key is refused everything else', async () => {
+    await addFile('ci-file.txt', 'ci');
+
+    assertRefused(await get('/delete?filename=ci-file.txt', 'ci'));
+    assertRefused(await get('/usage', 'ci'));
+    assertRefused(await get('/api/v1/files', 'ci'));
+    assertRefused(await get('/api/v1/files/ci-file.txt', 'ci'));
+    assert.notEqual(fileStore.getUpload('ci-file.txt'), null);
+});
+
+test('a key without the upload scope cannot upload', async () => {
+    const form = new FormData();
+    form.append('key', KEYS.moderator);
+    form.append('file', new Blob(['text']), 'notes.txt');
+
+    const res = await fetch(`${baseUrl}/upload`, { method: 'POST', body: form });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).error.code, 'INSUFFICIENT_SCOPE');
+});
+
+test('delete-own keys can only delete their own uploads', async () => {
+    await addFile('bob-file.txt', 'bob');
+    await addFile('alice-file.txt', 'alice');
+
+    const refused = await get('/delete?filename=bob-file.txt', 'alice');
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error.code, 'NOT_FILE_OWNER');
+    assert.notEqual(fileStore.getUpload('bob-file.txt'), null);
+
+    assert.equal((await get('/delete?filename=alice-file.txt', 'alice')).status, 200);
+    assert.equal(fileStore.getUpload('alice-file.txt'), null);
+});
+
+test('delete-any keys can delete anyone\'s uploads', async () => {
+    await addFile('bob-file2.txt', 'bob');
+
+    assert.equal((await get('/delete?filename=bob-file2.txt', 'moderator')).status, 200);
+    assert.equal(fileStore.getUpload('bob-file2.txt'), null);
+});
+
+test('default keys are refused admin routes', async () => {
+    assertRefused(await get('/api/v1/audit', 'alice'));
+});
+
+test('the admin scope passes every scope check', async () => {
+    for (const scope of apiKeys.SCOPES) {
+        assert.equal(middleware.hasScope('root', scope), true, scope);
+    }
+
+    await addFile('bob-file3.txt', 'bob');
+    assert.equal((await get('/usage', 'root')).status, 200);
+    assert.equal((await get('/api/v1/files?owner=bob', 'root')).status, 200);
+    assert.equal((await get('/api/v1/audit', 'root')).status, 200);
+    assert.equal((await get('/delete?filename=bob-file3.txt', 'root')).status, 200);
+});
+
+test('users.<name>.admin grants the admin scope to keys without it', async () => {
+    assert.equal(middleware.getScopes('legacy').includes('admin'), true);
+    assert.equal((await get('/api/v1/audit', 'legacy')).status, 200);
+});
@@ -0,0 +1,195 @@
+const { config } = require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const ALICE_KEY = 'aliceTusKey0123456789';
+const BOB_KEY = 'bobTusKey0123456789xx';
+const CONTENT = 'hello tus!';
+
+config.keys = { alice: ALICE_KEY, bob: BOB_KEY };
+config.fileExtensionCheck.extensionsAllowed.push('.txt');
+
+const tus = require('../routes/tus.js');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    const app = express();
+    app.use('/tus', tus);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/tus`;
+});
+
+test.after(() => {
+    server.close();
+});
+
+/**
+ * Sends a tus request
+ * @param {string} method - HTTP method
+ * @param {string} url - Upload URL, or the creation URL if omitted
+ * @param {Object} headers - Extra headers
+ * @param {string|Buffer} body - Request body
+ * @returns {Promise<Response>}
+ */
+function tusRequest(method, url, headers = {}, body = undefined) {
+    return fetch(url || baseUrl, {
+        method,
+        headers: { 'Tus-Resumable': '1.0.0', 'X-Api-Key': ALICE_KEY, ...headers },
+        body
+    });
+}
+
+/**
+ * Creates an upload of the test content
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<string>} - Upload URL on this test server
+ */
+async function createUpload(headers = {}) {
+    const res = await tusRequest('POST', baseUrl, {
+        'Upload-Length': String(CONTENT.length),
+        'Upload-Metadata': `filename ${Buffer.from('notes.txt').toString('base64')}`,
+        ...headers
+    });
+    assert.equal(res.status, 201);
+    return `${baseUrl}/${res.headers.get('location').split('/').pop()}`;
+}
+
+/**
+ * Appends a chunk to an upload
+ * @param {string} url - Upload URL
+ * @param {number} offset - Upload-Offset to send
+ * @param {string} chunk - Bytes to append
+ * @returns {Promise<Response>}
+ */
+function patch(url, offset, chunk) {
+    return tusRequest('PATCH', url, {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(offset)
+    }, chunk);
+}
+
+/**
+ * Reads the server's offset for an upload
+ * @param {string} url - Upload URL
+ * @returns {Promise<number>}
+ */
+async function getOffset(url) {
+    const res = await tusRequest('HEAD', url);
+    assert.equal(res.status, 200);
+    return Number(res.headers.get('upload-offset'));
+}
+
+test('requests without the supported tus version are refused', async () => {
+    const res = await fetch(baseUrl, { method: 'POST', headers: { 'X-Api-Key': ALICE_KEY } });
+
+    assert.equal(res.status, 412);
+    assert.equal(res.headers.get('tus-version'), '1.0.0');
+});
+
+test('creation needs an Upload-Length and an allowed filename', async () => {
+    assert.equal((await tusRequest('POST', baseUrl, {
+        'Upload-Metadata': `filename ${Buffer.from('notes.txt').toString('base64')}`
+    })).status, 400);
+
+    assert.equal((await tusRequest('POST', baseUrl, {
+        'Upload-Length': '10',
+        'Upload-Metadata': `filename ${Buffer.from('script.exe').toString('base64')}`
+    })).status, 400);
+});
+
+test('a new upload starts at offset zero', async () => {
+    const url = await createUpload();
+    const res = await tusRequest('HEAD', url);
+
+    assert.equal(res.headers.get('upload-offset'), '0');
+    assert.equal(res.headers.get('upload-length'), String(CONTENT.length));
+});
+
+test('chunks advance the offset and a mismatched offset gets 409', async () => {
+    const url = await createUpload();
+
+    const first = await patch(url, 0, CONTENT.substring(0, 4));
+    assert.equal(first.status, 204);
+    assert.equal(first.headers.get('upload-offset'), '4');
+    assert.equal(await getOffset(url), 4);
+
+    // A retried chunk the server already has is refused with the real offset
+    const retry = await patch(url, 0, CONTENT.substring(0, 4));
+    assert.equal(retry.status, 409);
+    assert.equal(retry.headers.get('upload-offset'), '4');
+    assert.equal(await getOffset(url), 4);
+});
+
+test('concurrent chunks at the same offset are not both appended', async () => {
+    const url = await createUpload({ 'Upload-Length': '20' });
+
+    const responses = await Promise.all([patch(url, 0, 'A'.repeat(10)), patch(url, 0, 'B'.repeat(10))]);
+    const statuses = responses.map(res => res.status).sort();
+
+    assert.equal(statuses[0], 204);
+    assert.ok([409, 423].includes(statuses[1]), `second chunk got ${statuses[1]}`);
+    assert.equal(await getOffset(url), 10);
+
+    const winner = responses[0].status === 204 ? 'A' : 'B';
+    const res = await patch(url, 10, 'C'.repeat(10));
+    assert.equal(res.status, 200);
+
+    const { data } = await res.json();
+    const filename = data.file.url.split('/').pop();
+    assert.equal(fs.readFileSync(path.join(config.uploadDirectory, filename), 'utf8'), winner.repeat(10) + 'C'.repeat(10));
+});
+
+test('bytes past Upload-Length are rejected and the chunk is rolled back', async () => {
+    const url = await createUpload();
+    await patch(url, 0, CONTENT.substring(0, 4));
+
+    const res = await patch(url, 4, 'x'.repeat(20));
+    assert.equal(res.status, 413);
+    assert.equal(res.headers.get('upload-offset'), '4');
+    assert.equal(await getOffset(url), 4);
+});
+
+test('chunks must be sent as application/offset+octet-stream', async () => {
+    const url = await createUpload();
+    const res = await tusRequest('PATCH', url, { 'Content-Type': 'text/plain', 'Upload-Offset': '0' }, 'data');
+
+    assert.equal(res.status, 415);
+    assert.equal(await getOffset(url), 0);
+});
+
+test('the last chunk completes the upload', async () => {
+    const url = await createUpload();
+    await patch(url, 0, CONTENT.substring(0, 4));
+
+    const res = await patch(url, 4, CONTENT.substring(4));
+    assert.equal(res.status, 200);
+
+    const { data } = await res.json();
+    const filename = data.file.url.split('/').pop();
+    assert.equal(fs.readFileSync(path.join(config.uploadDirectory, filename), 'utf8'), CONTENT);
+
+    // The staged upload is gone once it has been stored
+    assert.equal((await tusRequest('HEAD', url)).status, 404);
+});
+
+test('uploads belong to the key that created them', async () => {
+    const url = await createUpload();
+
+    assert.equal((await tusRequest('HEAD', url, { 'X-Api-Key': BOB_KEY })).status, 403);
+    assert.equal((await patch(`${baseUrl}/unknown`, 0, 'data')).status, 404);
+});
+
+test('terminated uploads are removed', async () => {
+    const url = await createUpload();
+
+    assert.equal((await tusRequest('DELETE', url)).status, 204);
+    assert.equal((await tusRequest('HEAD', url)).status, 404);
+});
@@ -0,0 +1,88 @@
+const { config } = require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const fileStore = require('../libs/fileStore.js');
+const utils = require('../libs/utils.js');
+const { finalizeUpload } = require('../libs/uploadFinalizer.js');
+
+/**
+ * Writes a file to the upload directory and finalizes it
+ * @param {string} filename - Public filename
+ * @param {string} content - File content
+ * @returns {Promise<Object>} - finalizeUpload result
+ */
+function upload(filename, content) {
+    const filePath = path.join(config.uploadDirectory, filename);
+    fs.writeFileSync(filePath, content);
+
+    return finalizeUpload({
+        filename,
+        filePath,
+        originalName: filename,
+        size: Buffer.byteLength(content),
+        username: 'alice',
+        shortKey: 'ali...',
+        requestedExpiry: null
+    });
+}
+
+test('identical content is stored once', async () => {
+    const first = await upload('first.txt', 'same content');
+    const second = await upload('second.txt', 'same content');
+
+    assert.equal(second.record.storedName, first.record.storedName);
+    assert.equal(fs.existsSync(path.join(config.uploadDirectory, 'second.txt')), false);
+    assert.equal(fileStore.countReferences('first.txt'), 2);
+});
+
+test('a deduplicated upload outlives the upload it shares content with', async () => {
+    await upload('original.txt', 'shared bytes');
+    const copy = await upload('copy.txt', 'shared bytes');
+
+    await fileStore.deleteUpload(fileStore.getUpload('original.txt'), 'test');
+
+    assert.equal(fs.readFileSync(fileStore.getStoredPath(copy.record), 'utf8'), 'shared bytes');
+});
+
+test('deleting the other reference while a duplicate is recorded keeps the content', async () => {
+    await upload('racing.txt', 'racing bytes');
+    const racerPath = path.join(config.uploadDirectory, 'racer.txt');
+
+    // The last other reference is deleted right after the duplicate lookup,
+    // and finishes before the duplicate's own copy is removed
+    const findBySha256 = fileStore.findBySha256;
+    const safeDeleteFile = utils.safeDeleteFile;
+    let deleting;
+    fileStore.findBySha256 = (sha256) => {
+        const duplicate = findBySha256(sha256);
+        deleting = fileStore.deleteUpload(duplicate, 'test');
+        return duplicate;
+    };
+    utils.safeDeleteFile = async (filePath) => {
+        if (filePath === racerPath) {
+            await deleting;
+        }
+        return safeDeleteFile(filePath);
+    };
+
+    try {
+        const { record } = await upload('racer.txt', 'racing bytes');
+        assert.equal(fs.readFileSync(fileStore.getStoredPath(record), 'utf8'), 'racing bytes');
+    } finally {
+        fileStore.findBySha256 = findBySha256;
+        utils.safeDeleteFile = safeDeleteFile;
+    }
+});
+
+test('an upload keeps its own copy when the shared file is missing', async () => {
+    await upload('vanished.txt', 'vanishing bytes');
+    fs.unlinkSync(path.join(config.uploadDirectory, 'vanished.txt'));
+
+    const { record } = await upload('kept.txt', 'vanishing bytes');
+
+    assert.equal(record.storedName, 'kept.txt');
+    assert.equal(fs.readFileSync(fileStore.getStoredPath(record), 'utf8'), 'vanishing bytes');
+});
@@ -0,0 +1,109 @@
+require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const uploadQuery = require('../libs/uploadQuery.js');
+
+const RECORDS = [
+    { filename: 'cat.png', owner: 'alice', size: 300, mimetype: 'image/png', createdAt: '2026-01-01T10:00:00.000Z' },
+    { filename: 'Dog.jpg', owner: 'bob', size: 100, mimetype: 'image/jpeg', createdAt: '2026-01-03T10:00:00.000Z' },
+    { filename: 'clip.mp4', owner: 'alice', size: 200, mimetype: 'video/mp4', createdAt: '2026-01-02T10:00:00.000Z' },
+    { filename: 'notes.txt', owner: 'alice', size: 200, mimetype: 'text/plain', createdAt: '2026-01-04T10:00:00.000Z' },
+    { filename: 'old.png', owner: 'alice', size: 50, mimetype: 'image/png', createdAt: '2026-01-05T10:00:00.000Z', expiresAt: '2000-01-01T00:00:00.000Z' }
+];
+
+/**
+ * Runs a query and returns the matching filenames
+ * @param {Object} query - Query parameters
+ * @returns {Array<string>}
+ */
+function query(query) {
+    const { options, error } = uploadQuery.parseQuery(query);
+    assert.equal(error, null);
+    return uploadQuery.queryUploads(RECORDS, options).map(record => record.filename);
+}
+
+test('parseQuery applies the default sort', () => {
+    const { options } = uploadQuery.parseQuery({});
+    assert.equal(options.sort, 'date');
+    assert.equal(options.order, 'desc');
+    assert.equal(options.type, null);
+});
+
+test('parseQuery rejects unknown values', () => {
+    for (const bad of [{ type: 'audio' }, { sort: 'owner' }, { order: 'up' }, { from: 'yesterday' }, { owner: ['a', 'b'] }]) {
+        const { options, error } = uploadQuery.parseQuery(bad);
+        assert.equal(options, null);
+        assert.equal(typeof error, 'string', JSON.stringify(bad));
+    }
+});
+
+test('expired uploads are always left out', () => {
+    assert.deepEqual(query({}), ['notes.txt', 'Dog.jpg', 'clip.mp4', 'cat.png']);
+});
+
+test('uploads are filtered by owner, type and name', () => {
+    assert.deepEqual(query({ owner: 'bob' }), ['Dog.jpg']);
+    assert.deepEqual(query({ type: 'image' }), ['Dog.jpg', 'cat.png']);
+    assert.deepEqual(query({ type: 'other' }), ['notes.txt']);
+    assert.deepEqual(query({ q: 'DOG' }), ['Dog.jpg']);
+});
+
+test('uploads are filtered by creation time', () => {
+    assert.deepEqual(query({ from: '2026-01-02T00:00:00Z', to: '2026-01-03T23:00:00Z' }), ['Dog.jpg', 'clip.mp4']);
+    assert.deepEqual(query({ from: String(Date.parse('2026-01-04T00:00:00Z')) }), ['notes.txt']);
+});
+
+test('ties are broken by filename', () => {
+    assert.deepEqual(query({ sort: 'size', order: 'asc' }), ['Dog.jpg', 'clip.mp4', 'notes.txt', 'cat.png']);
+    assert.deepEqual(query({ sort: 'name', order: 'asc' }), ['cat.png', 'clip.mp4', 'Dog.jpg', 'notes.txt']);
+});
+
+test('cursors walk every page exactly once', () => {
+    const { options } = uploadQuery.parseQuery({ sort: 'size' });
+    const records = uploadQuery.queryUploads(RECORDS, options);
+
+    const seen = [];
+    let cursor = null;
+    do {
+        const page = uploadQuery.paginate(records, options, cursor, 3);
+        seen.push(...page.items.map(record => record.filename));
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, ['cat.png', 'notes.txt', 'clip.mp4', 'Dog.jpg']);
+});
+
+test('the last page has no cursor', () => {
+    const { options } = uploadQuery.parseQuery({});
+    const page = uploadQuery.paginate(uploadQuery.queryUploads(RECORDS, options), options, null, 10);
+
+    assert.equal(page.items.length, 4);
+    assert.equal(page.nextCursor, null);
+});
+
+test('a cursor still works after the record it points at is removed', () => {
+    const { options } = uploadQuery.parseQuery({ sort: 'name', order: 'asc' });
+    const records = uploadQuery.queryUploads(RECORDS, options);
+    const first = uploadQuery.paginate(records, options, null, 2);
+
+    const remaining = records.filter(record => record.filename !== 'clip.mp4');
+    const second = uploadQuery.paginate(remaining, options, first.nextCursor, 2);
+
+    assert.deepEqual(second.items.map(record => record.filename), ['Dog.jpg', 'notes.txt']);
+});
+
+test('malformed cursors are rejected', () => {
+    const { options } = uploadQuery.parseQuery({});
+    for (const cursor of ['not-base64!', Buffer.from('{"a":1}').toString('base64url'), Buffer.from('[1]').toString('base64url')]) {
+        assert.equal(uploadQuery.paginate(RECORDS, options, cursor, 10), null);
+    }
+});
+
+test('a plain date as the upper bound includes that whole day', () => {
+    assert.deepEqual(query({ from: '2026-01-02', to: '2026-01-03' }), ['Dog.jpg', 'clip.mp4']);
+
+    const { to } = uploadQuery.parseDateRange(null, '2026-01-03');
+    assert.equal(to, Date.parse('2026-01-04T00:00:00.000Z') - 1);
+    assert.equal(uploadQuery.parseDateRange(null, '2026-01-03T00:00:00Z').to, Date.parse('2026-01-03T00:00:00Z'));
+});
@@ -0,0 +1,35 @@
+require('./helpers/setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration } = require('../libs/utils.js');
+
+test('parseDuration converts each unit to milliseconds', () => {
+    assert.equal(parseDuration('30s'), 30 * 1000);
+    assert.equal(parseDuration('15m'), 15 * 60 * 1000);
+    assert.equal(parseDuration('2h'), 2 * 60 * 60 * 1000);
+    assert.equal(parseDuration('7d'), 7 * 24 * 60 * 60 * 1000);
+    assert.equal(parseDuration('1w'), 7 * 24 * 60 * 60 * 1000);
+});
+
+test('parseDuration ignores case and surrounding whitespace', () => {
+    assert.equal(parseDuration(' 1H '), 60 * 60 * 1000);
+    assert.equal(parseDuration('5 m'), 5 * 60 * 1000);
+    assert.equal(parseDuration('NEVER'), null);
+});
+
+test('parseDuration returns null for never', () => {
+    assert.equal(parseDuration('never'), null);
+});
+
+test('parseDuration rejects malformed and zero durations', () => {
+    for (const value of ['', '0d', '-1h', '1.5h', '10', 'h', '1y', '1h30m', 'forever']) {
+        assert.equal(parseDuration(value), undefined, value);
+    }
+});
+
+test('parseDuration rejects non-strings', () => {
+    for (const value of [undefined, null, 3600, {}, ['1h']]) {
+        assert.equal(parseDuration(value), undefined);
+    }
+});